@@ -0,0 +1,190 @@
+// Server configuration from CLI flags, environment variables and an optional JSON config file
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { RetryPolicy } from './utils/retry.js';
+
+export type TransportMode = 'stdio' | 'http' | 'sse';
+
+export interface ServerOptions {
+  transport: TransportMode;
+  host: string;
+  port: number;
+  authToken?: string;
+  // Extra host names clients may address the HTTP server by, beyond the bind address
+  allowedHosts?: string[];
+  configPath?: string;
+}
+
+/**
+ * An ESM module that contributes providers: a path (relative to the config file)
+ * or package specifier, optionally with options passed to its factory
+ */
+export type ProviderModuleConfig = string | { module: string; options?: Record<string, any> };
+
+export interface NanoBananaConfig {
+  // Extra provider modules to load into the registry
+  provider_modules?: ProviderModuleConfig[];
+  // Provider IDs in the order "auto" tries them (defaults to registration order)
+  auto_order?: string[];
+  // Cross-provider failover in auto mode
+  failover?: FailoverConfig;
+  // Per-provider settings, keyed by provider ID
+  providers?: Record<string, ProviderSettings>;
+  // Proxy and TLS settings for outbound requests
+  network?: NetworkConfig;
+}
+
+export interface ProviderSettings {
+  // "openai-compatible" registers an additional OpenAI Images API backend under this ID
+  type?: string;
+  // Model used when a request does not pass `model`
+  model?: string;
+  // API base URL, e.g. an internal gateway or a local stand-in for tests
+  base_url?: string;
+  // Overrides for the shared retry policy (max_attempts, initial_delay_ms, max_delay_ms, time_budget_ms)
+  retry?: Partial<RetryPolicy>;
+  // Client-side rate limit and request queue for this provider
+  rate_limit?: RateLimitConfig;
+}
+
+export interface RateLimitConfig {
+  // Requests started per minute (token bucket); counts one per image for sample_count > 1
+  requests_per_minute?: number;
+  // Requests that may start back to back before the per-minute rate applies (default 1)
+  burst?: number;
+  // Requests in flight at once
+  max_concurrent?: number;
+  // How long a request waits in the queue before failing (default 120000)
+  queue_timeout_ms?: number;
+}
+
+export interface NetworkConfig {
+  // Proxy URL for all provider calls and reference downloads; overrides HTTP(S)_PROXY
+  proxy?: string;
+  // Hosts reached without the proxy; overrides NO_PROXY
+  no_proxy?: string | string[];
+  // PEM bundle trusted in addition to the default root certificates
+  ca_file?: string;
+}
+
+export interface FailoverConfig {
+  // Fall through to the next provider on retryable failures (default true)
+  enabled?: boolean;
+  // Consecutive retryable failures before a provider is skipped (default 3)
+  failure_threshold?: number;
+  // How long a tripped provider is skipped before it is tried again (default 60000)
+  cooldown_ms?: number;
+}
+
+export const DEFAULT_QUEUE_TIMEOUT_MS = 120_000;
+
+export const DEFAULT_CONFIG_FILE = 'nanobanana.config.json';
+
+const TRANSPORT_MODES: TransportMode[] = ['stdio', 'http', 'sse'];
+
+/**
+ * Parse server options. CLI flags (--transport, --host, --port, --auth-token,
+ * --allowed-hosts, --config) take precedence over NANOBANANA_TRANSPORT, NANOBANANA_HOST,
+ * NANOBANANA_PORT, NANOBANANA_AUTH_TOKEN, NANOBANANA_ALLOWED_HOSTS and NANOBANANA_CONFIG.
+ */
+export function parseServerOptions(argv: string[], env: NodeJS.ProcessEnv = process.env): ServerOptions {
+  const flags: Record<string, string> = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    if (eq !== -1) {
+      flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      flags[arg.slice(2)] = argv[++i];
+    } else {
+      flags[arg.slice(2)] = 'true';
+    }
+  }
+
+  const transport = (flags.transport || env.NANOBANANA_TRANSPORT || 'stdio').toLowerCase() as TransportMode;
+  if (!TRANSPORT_MODES.includes(transport)) {
+    throw new Error(`Invalid transport "${transport}". Expected one of: ${TRANSPORT_MODES.join(', ')}`);
+  }
+
+  const portValue = flags.port || env.NANOBANANA_PORT || '3000';
+  const port = parseInt(portValue, 10);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port "${portValue}"`);
+  }
+
+  return {
+    transport,
+    host: flags.host || env.NANOBANANA_HOST || '127.0.0.1',
+    port,
+    authToken: flags['auth-token'] || env.NANOBANANA_AUTH_TOKEN || undefined,
+    allowedHosts: (flags['allowed-hosts'] || env.NANOBANANA_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean),
+    configPath: flags.config || env.NANOBANANA_CONFIG || undefined,
+  };
+}
+
+/**
+ * Load the JSON config file. An explicitly named file must exist; the default
+ * ./nanobanana.config.json is optional. Returns the config and the directory
+ * relative module paths resolve against.
+ */
+export async function loadConfig(configPath?: string): Promise<{ config: NanoBananaConfig; baseDir: string }> {
+  const file = path.resolve(configPath || DEFAULT_CONFIG_FILE);
+  let raw: string;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (error: any) {
+    if (error.code === 'ENOENT' && !configPath) {
+      return { config: {}, baseDir: process.cwd() };
+    }
+    throw new Error(`Failed to read config file ${file}: ${error.message}`);
+  }
+
+  try {
+    return { config: JSON.parse(raw) as NanoBananaConfig, baseDir: path.dirname(file) };
+  } catch (error: any) {
+    throw new Error(`Invalid JSON in config file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Rate limit for a provider: the config file's `rate_limit` block, with unset
+ * fields taken from NANOBANANA_<ID>_RPM, NANOBANANA_<ID>_BURST,
+ * NANOBANANA_<ID>_MAX_CONCURRENT and NANOBANANA_<ID>_QUEUE_TIMEOUT_MS
+ * (ID upper-cased, other characters replaced by "_"). Returns undefined when
+ * neither a rate nor a concurrency cap is set.
+ */
+export function resolveRateLimit(
+  id: string,
+  config: RateLimitConfig = {},
+  env: NodeJS.ProcessEnv = process.env
+): (RateLimitConfig & { queue_timeout_ms: number }) | undefined {
+  const prefix = `NANOBANANA_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const read = (key: keyof RateLimitConfig, envName: string): number | undefined => {
+    if (config[key] !== undefined) {
+      return positiveNumber(config[key], `providers.${id}.rate_limit.${key}`);
+    }
+    const value = env[prefix + envName];
+    return value ? positiveNumber(Number(value), prefix + envName) : undefined;
+  };
+
+  const limit = {
+    requests_per_minute: read('requests_per_minute', 'RPM'),
+    burst: read('burst', 'BURST'),
+    max_concurrent: read('max_concurrent', 'MAX_CONCURRENT'),
+    queue_timeout_ms: read('queue_timeout_ms', 'QUEUE_TIMEOUT_MS') ?? DEFAULT_QUEUE_TIMEOUT_MS,
+  };
+  if (!limit.requests_per_minute && !limit.max_concurrent) {
+    return undefined;
+  }
+  return limit;
+}
+
+function positiveNumber(value: unknown, name: string): number {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    throw new Error(`Invalid ${name} "${value}": expected a positive number`);
+  }
+  return value;
+}
@@ -0,0 +1,256 @@
+// HTTP transports: Streamable HTTP at /mcp and legacy HTTP+SSE at /sse + /messages
+import { createServer, IncomingMessage, ServerResponse, Server as HttpServer } from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { Transport } from '@modelcontextprotocol/sdk/shared/transport.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { ServerOptions } from './config.js';
+
+/**
+ * A per-session MCP server. Every HTTP session gets its own instance so
+ * protocol state is never shared between clients.
+ */
+export interface SessionServer {
+  connect(transport: Transport): Promise<void>;
+  close(): Promise<void>;
+}
+
+interface Session {
+  transport: StreamableHTTPServerTransport | SSEServerTransport;
+  server: SessionServer;
+}
+
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::', ''];
+
+export async function startHttpServer(options: ServerOptions, createSessionServer: () => SessionServer): Promise<HttpServer> {
+  const sessions = new Map<string, Session>();
+  const enableStreamable = options.transport === 'http';
+  // Filled in once the port is known
+  let allowedHosts: Set<string> | undefined;
+
+  const httpServer = createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url || '/', 'http://localhost');
+
+      if (url.pathname === '/health') {
+        sendJson(res, 200, { status: 'ok', sessions: sessions.size });
+        return;
+      }
+
+      if (!isAllowedHost(req, allowedHosts)) {
+        sendJson(res, 403, jsonRpcError('Forbidden: Host or Origin header does not name this server'));
+        return;
+      }
+
+      if (!isAuthorized(req, options.authToken)) {
+        res.setHeader('WWW-Authenticate', 'Bearer realm="nanobanana-mcp"');
+        sendJson(res, 401, jsonRpcError('Unauthorized: missing or invalid bearer token'));
+        return;
+      }
+
+      if (enableStreamable && url.pathname === '/mcp') {
+        await handleStreamableRequest(req, res);
+      } else if (url.pathname === '/sse' && req.method === 'GET') {
+        await handleSseConnect(res);
+      } else if (url.pathname === '/messages' && req.method === 'POST') {
+        await handleSseMessage(req, res, url.searchParams.get('sessionId'));
+      } else {
+        sendJson(res, 404, jsonRpcError(`Not found: ${req.method} ${url.pathname}`));
+      }
+    } catch (error: any) {
+      if (error instanceof SyntaxError && !res.headersSent) {
+        sendJson(res, 400, jsonRpcError(`Parse error: ${error.message}`, -32700));
+        return;
+      }
+      console.error('Error handling HTTP request:', error);
+      if (!res.headersSent) {
+        sendJson(res, 500, jsonRpcError(error.message || 'Internal server error', -32603));
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  async function handleStreamableRequest(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const sessionId = req.headers['mcp-session-id'] as string | undefined;
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session || !(session.transport instanceof StreamableHTTPServerTransport)) {
+        sendJson(res, 404, jsonRpcError(`Unknown session: ${sessionId}`));
+        return;
+      }
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJson(res, 400, jsonRpcError('Bad Request: no valid session ID provided'));
+      return;
+    }
+
+    const server = createSessionServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, { transport, server });
+        console.error(`MCP session started: ${id}`);
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        console.error(`MCP session closed: ${transport.sessionId}`);
+        server.close().catch(() => {});
+      }
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handleSseConnect(res: ServerResponse): Promise<void> {
+    const server = createSessionServer();
+    const transport = new SSEServerTransport('/messages', res);
+    sessions.set(transport.sessionId, { transport, server });
+    console.error(`SSE session started: ${transport.sessionId}`);
+
+    res.on('close', () => {
+      if (sessions.delete(transport.sessionId)) {
+        console.error(`SSE session closed: ${transport.sessionId}`);
+        server.close().catch(() => {});
+      }
+    });
+
+    await server.connect(transport);
+  }
+
+  async function handleSseMessage(req: IncomingMessage, res: ServerResponse, sessionId: string | null): Promise<void> {
+    const session = sessionId ? sessions.get(sessionId) : undefined;
+    if (!session || !(session.transport instanceof SSEServerTransport)) {
+      sendJson(res, 404, jsonRpcError(`Unknown session: ${sessionId}`));
+      return;
+    }
+    await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+  }
+
+  await new Promise<void>((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(options.port, options.host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  const port = typeof address === 'object' && address ? address.port : options.port;
+  allowedHosts = resolveAllowedHosts(options, port);
+  const endpoints = enableStreamable ? `/mcp (Streamable HTTP), /sse (legacy SSE)` : `/sse (legacy SSE)`;
+  console.error(`Nano Banana MCP Server listening on http://${options.host}:${port} - ${endpoints}`);
+  if (!options.authToken) {
+    console.error('Warning: no bearer token configured (set NANOBANANA_AUTH_TOKEN); the server accepts unauthenticated requests');
+  }
+  if (!allowedHosts) {
+    console.error('Warning: bound to all interfaces without NANOBANANA_ALLOWED_HOSTS; Host and Origin headers are not checked');
+  }
+
+  return httpServer;
+}
+
+/**
+ * The host:port pairs requests may address. A DNS rebinding attack points a
+ * browser's name for some other site at this server, so the Host header and any
+ * Origin must name the server itself. Undefined when bound to every interface
+ * with no allowlist, as the names clients use are unknown.
+ */
+function resolveAllowedHosts(options: ServerOptions, port: number): Set<string> | undefined {
+  const wildcard = WILDCARD_HOSTS.includes(options.host);
+  const configured = options.allowedHosts || [];
+  if (wildcard && configured.length === 0) {
+    return undefined;
+  }
+
+  const names = [...configured];
+  if (!wildcard) {
+    names.push(options.host.includes(':') && !options.host.startsWith('[') ? `[${options.host}]` : options.host);
+  }
+  if (wildcard || names.some(name => LOOPBACK_HOSTS.includes(name) || name.startsWith('127.'))) {
+    names.push(...LOOPBACK_HOSTS);
+  }
+  return new Set(names.map(name => {
+    const url = parseHost(/:\d+$/.test(name) ? name : `${name}:${port}`);
+    return url ? hostKey(url) : name.toLowerCase();
+  }));
+}
+
+function isAllowedHost(req: IncomingMessage, allowed?: Set<string>): boolean {
+  if (!allowed) {
+    return true;
+  }
+  const host = parseHost(req.headers.host || '');
+  if (!host || !allowed.has(hostKey(host))) {
+    return false;
+  }
+  // Non-browser clients send no Origin; a browser's must be this server too
+  const origin = req.headers.origin;
+  if (origin === undefined) {
+    return true;
+  }
+  try {
+    return allowed.has(hostKey(new URL(origin)));
+  } catch {
+    return false;
+  }
+}
+
+function parseHost(host: string): URL | undefined {
+  try {
+    return host ? new URL(`http://${host}`) : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function hostKey(url: URL): string {
+  return `${url.hostname}:${url.port || (url.protocol === 'https:' ? '443' : '80')}`;
+}
+
+function isAuthorized(req: IncomingMessage, authToken?: string): boolean {
+  if (!authToken) {
+    return true;
+  }
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return false;
+  }
+  const provided = Buffer.from(match[1].trim());
+  const expected = Buffer.from(authToken);
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
+
+async function readJsonBody(req: IncomingMessage): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error(`Request body exceeds ${MAX_BODY_BYTES / (1024 * 1024)}MB`);
+    }
+    chunks.push(chunk as Buffer);
+  }
+  const raw = Buffer.concat(chunks).toString('utf8');
+  return raw ? JSON.parse(raw) : undefined;
+}
+
+function sendJson(res: ServerResponse, status: number, body: unknown): void {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function jsonRpcError(message: string, code: number = -32000) {
+  return { jsonrpc: '2.0', error: { code, message }, id: null };
+}
@@ -1,16 +1,197 @@
 #!/usr/bin/env node
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { GeminiProvider } from './providers/gemini-provider.js';
-import { OpenRouterProvider } from './providers/openrouter-provider.js';
-import { ImageGenerationArgs, GenerationResult, ImageProvider } from './types.js';
-import { saveImages, formatImageSize } from './utils.js';
+import { Transport } from '@modelcontextprotocol/sdk/shared/transport.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
+} from '@modelcontextprotocol/sdk/types.js';
+import { providerRegistry, configureProviders } from './providers/registry.js';
+import { providerFailover } from './providers/failover.js';
+import { providerHealth, formatProviderHealth, summarizeProviderHealth } from './providers/health.js';
+import { ImageGenerationArgs, GenerationResult, ImageProvider, EditImageArgs, GeneratedImage, BatchGenerateArgs } from './types.js';
+import { saveImages, formatImageSize, readImageFileAsBase64 } from './utils.js';
+import { toImageContent, decodeGeneratedImage, InlineImageResult } from './utils/image-content.js';
+import { loadImageInput, buildMask, renderMaskGuide, compositeMasked, buildInpaintingPrompt } from './utils/inpainting.js';
+import {
+  GENERATION_URI_TEMPLATE,
+  generatedImageEvents,
+  listGeneratedResources,
+  readGeneratedResource,
+  uriForSavedFile,
+} from './utils/generated-resources.js';
+import { sessionStore, generatedToImageInput } from './sessions.js';
+import { jobManager, Job } from './jobs.js';
+import { SCENARIOS, findScenario, getPromptArguments, renderScenarioArgs } from './scenarios.js';
+import { ProgressReporter } from './utils/progress.js';
+import { mapWithConcurrency, serializeByKey } from './utils/concurrency.js';
+import { SAFETY_CATEGORIES, SAFETY_THRESHOLDS } from './utils/safety.js';
+import { parseServerOptions, loadConfig } from './config.js';
+import { configureNetwork } from './utils/http.js';
+import { startHttpServer } from './http-server.js';
+
+const IMAGE_INPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    path: {
+      type: 'string',
+      description: 'Local file path to the reference image (e.g., ./images/photo.jpg)',
+    },
+    url: {
+      type: 'string',
+      description: 'URL of the reference image',
+    },
+    base64: {
+      type: 'string',
+      description: 'Base64-encoded image data',
+    },
+    mimeType: {
+      type: 'string',
+      description: 'MIME type of the image (e.g., image/png, image/jpeg)',
+    },
+    description: {
+      type: 'string',
+      description: 'Optional description of what this reference image represents',
+    },
+  },
+};
+
+const SAFETY_SETTINGS_SCHEMA = {
+  type: 'array',
+  description: 'Safety filter thresholds per harm category (Gemini and Vertex AI). Categories not listed keep the provider default',
+  items: {
+    type: 'object',
+    properties: {
+      category: {
+        type: 'string',
+        enum: SAFETY_CATEGORIES,
+      },
+      threshold: {
+        type: 'string',
+        enum: SAFETY_THRESHOLDS,
+        description: 'How likely a harm must be before output is blocked; "block_none" and "off" disable blocking',
+      },
+    },
+    required: ['category', 'threshold'],
+  },
+};
+
+/**
+ * Schema for a `provider` argument; the enum lists every registered provider
+ */
+function providerProperty(description: string) {
+  return {
+    type: 'string',
+    enum: [...providerRegistry.ids(), 'auto'],
+    description,
+    default: 'auto',
+  };
+}
+
+function generateImageInputSchema() {
+  return {
+    type: 'object',
+    properties: {
+      prompt: {
+        type: 'string',
+        description: 'Text description of the image to generate. Be specific and detailed for best results.',
+      },
+      images: {
+        type: 'array',
+        description: 'Reference images for image-to-image generation or style transfer. Supports URLs, file paths, or base64 data.',
+        items: IMAGE_INPUT_SCHEMA,
+      },
+      provider: providerProperty('API provider to use. "auto" selects the first available provider.'),
+      model: {
+        type: 'string',
+        description: 'Model ID for the provider (see list_models). Defaults to the provider\'s configured model',
+      },
+      scenario: {
+        type: 'string',
+        enum: SCENARIOS.map(s => s.name),
+        description: 'Predefined scenario for optimized prompting',
+      },
+      aspect_ratio: {
+        type: 'string',
+        description: 'Desired aspect ratio (e.g., "1:1", "16:9", "9:16", "square", "landscape", "portrait")',
+      },
+      negative_prompt: {
+        type: 'string',
+        description: 'Elements to avoid in the generated image',
+      },
+      safety_settings: SAFETY_SETTINGS_SCHEMA,
+      response_modalities: {
+        type: 'string',
+        enum: ['image', 'text+image'],
+        description: 'Ask for images only, or images with accompanying text such as captions. Defaults to the model\'s own behaviour',
+      },
+      sample_count: {
+        type: 'integer',
+        description: 'Number of image variations to generate. Sent as the candidate count where supported, otherwise as parallel requests; identical images are dropped',
+        minimum: 1,
+        maximum: 4,
+      },
+      temperature: {
+        type: 'number',
+        description: 'Sampling temperature; higher values give more varied images',
+        minimum: 0,
+        maximum: 2,
+      },
+      top_p: {
+        type: 'number',
+        description: 'Nucleus sampling probability mass',
+        minimum: 0,
+        maximum: 1,
+      },
+      top_k: {
+        type: 'integer',
+        description: 'Sample from the k most likely tokens',
+        minimum: 1,
+      },
+      seed: {
+        type: 'integer',
+        description: 'Seed for more reproducible output. Parallel samples use seed, seed+1, ...',
+      },
+      save_to_file: {
+        type: 'boolean',
+        description: 'Save generated images to local files',
+        default: false,
+      },
+      filename: {
+        type: 'string',
+        description: 'Base filename for saved images (without extension). Files will be saved to ./generated_images/ in the client\'s working directory',
+      },
+      show_full_response: {
+        type: 'boolean',
+        description: 'Include full base64 data in response (default: false for concise output)',
+        default: false,
+      },
+      inline_images: {
+        type: 'boolean',
+        description: 'Return generated images as MCP image content blocks. Large images are downscaled to fit the inline size limit',
+        default: true,
+      },
+      session_id: {
+        type: 'string',
+        description: 'Multi-turn session to continue. Earlier prompts, references and generated images are sent as conversation history, so follow-ups like "make the sky darker" refine the latest image. A new session is created on first use',
+      },
+    },
+    required: ['prompt'],
+  };
+}
+
+const DEFAULT_BATCH_CONCURRENCY = 2;
+const MAX_BATCH_CONCURRENCY = 8;
 
 class NanoBananaMCPServer {
   private server: Server;
-  private geminiProvider: GeminiProvider;
-  private openRouterProvider: OpenRouterProvider;
 
   constructor() {
     this.server = new Server(
@@ -21,19 +202,23 @@ class NanoBananaMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: {
+            listChanged: true,
+          },
+          prompts: {},
         },
       }
     );
 
-    this.geminiProvider = new GeminiProvider();
-    this.openRouterProvider = new OpenRouterProvider();
+    this.setupHandlers();
+  }
 
-    // Log provider availability
+  logProviderStatus(): void {
     console.error('Nano Banana MCP Server - Provider Status:');
-    console.error(`• Gemini Direct API: ${this.geminiProvider.isAvailable() ? '✓ Available' : '✗ Not configured (set GEMINI_API_KEY)'}`);
-    console.error(`• OpenRouter API: ${this.openRouterProvider.isAvailable() ? '✓ Available' : '✗ Not configured (set OPENROUTER_API_KEY)'}`);
-    
-    this.setupHandlers();
+    for (const { id, provider, envVar } of providerRegistry.list()) {
+      const hint = envVar ? ` (set ${envVar})` : '';
+      console.error(`• ${provider.name} [${id}]: ${provider.isAvailable() ? '✓ Available' : `✗ Not configured${hint}`}`);
+    }
   }
 
   private setupHandlers(): void {
@@ -42,103 +227,258 @@ class NanoBananaMCPServer {
         {
           name: 'generate_image',
           description: 'Generate images using Nano Banana (Gemini 2.5 Flash Image Preview). Supports text-to-image and image-to-image generation with multiple reference images.',
+          inputSchema: generateImageInputSchema(),
+        },
+        {
+          name: 'edit_image',
+          description: 'Edit only the masked region of an image (inpainting). The provider output is composited back so pixels outside the mask are returned unchanged.',
           inputSchema: {
             type: 'object',
             properties: {
               prompt: {
                 type: 'string',
-                description: 'Text description of the image to generate. Be specific and detailed for best results.',
+                description: 'What to change inside the masked region',
+              },
+              image: {
+                ...IMAGE_INPUT_SCHEMA,
+                description: 'Source image to edit (path, url or base64)',
+              },
+              mask: {
+                ...IMAGE_INPUT_SCHEMA,
+                description: 'Mask image (PNG). White/opaque pixels are edited, black/transparent pixels are kept. Resized to the source dimensions if needed',
               },
-              images: {
+              mask_shapes: {
                 type: 'array',
-                description: 'Reference images for image-to-image generation or style transfer. Supports URLs, file paths, or base64 data.',
+                description: 'Mask regions in source-image pixel coordinates. Combined with the mask image if both are given',
                 items: {
                   type: 'object',
                   properties: {
-                    path: {
+                    type: {
                       type: 'string',
-                      description: 'Local file path to the reference image (e.g., ./images/photo.jpg)',
-                    },
-                    url: {
-                      type: 'string',
-                      description: 'URL of the reference image',
-                    },
-                    base64: {
-                      type: 'string',
-                      description: 'Base64-encoded image data',
-                    },
-                    mimeType: {
-                      type: 'string',
-                      description: 'MIME type of the image (e.g., image/png, image/jpeg)',
-                    },
-                    description: {
-                      type: 'string',
-                      description: 'Optional description of what this reference image represents',
+                      enum: ['rectangle', 'ellipse'],
                     },
+                    x: { type: 'number', description: 'Left edge of the bounding box' },
+                    y: { type: 'number', description: 'Top edge of the bounding box' },
+                    width: { type: 'number' },
+                    height: { type: 'number' },
                   },
+                  required: ['type', 'x', 'y', 'width', 'height'],
                 },
               },
-              provider: {
-                type: 'string',
-                enum: ['gemini', 'openrouter', 'auto'],
-                description: 'API provider to use. "auto" selects the first available provider.',
-                default: 'auto',
-              },
-              scenario: {
-                type: 'string',
-                enum: [
-                  'text-to-image',
-                  'style-transfer',
-                  'character-design',
-                  'pose-modification',
-                  'background-expansion',
-                  'multi-reference',
-                  'cross-view',
-                  'ar-overlay',
-                  'photo-enhancement'
-                ],
-                description: 'Predefined scenario for optimized prompting',
+              invert_mask: {
+                type: 'boolean',
+                description: 'Edit everything except the masked region',
+                default: false,
               },
-              aspect_ratio: {
+              provider: providerProperty('API provider to use. "auto" selects the first available provider.'),
+              model: {
                 type: 'string',
-                description: 'Desired aspect ratio (e.g., "1:1", "16:9", "9:16", "square", "landscape", "portrait")',
+                description: 'Model ID for the provider (see list_models)',
               },
               negative_prompt: {
                 type: 'string',
-                description: 'Elements to avoid in the generated image',
-              },
-              sample_count: {
-                type: 'integer',
-                description: 'Number of image variations to generate (model may not always follow exact count)',
-                minimum: 1,
-                maximum: 4,
+                description: 'Elements to avoid in the edited region',
               },
+              safety_settings: SAFETY_SETTINGS_SCHEMA,
               save_to_file: {
                 type: 'boolean',
-                description: 'Save generated images to local files',
+                description: 'Save the edited image to a local file',
                 default: false,
               },
               filename: {
                 type: 'string',
-                description: 'Base filename for saved images (without extension). Files will be saved to ./generated_images/ in the client\'s working directory',
+                description: 'Base filename for saved images (without extension)',
               },
               show_full_response: {
                 type: 'boolean',
                 description: 'Include full base64 data in response (default: false for concise output)',
                 default: false,
               },
+              inline_images: {
+                type: 'boolean',
+                description: 'Return the edited image as an MCP image content block',
+                default: true,
+              },
             },
-            required: ['prompt'],
+            required: ['prompt', 'image'],
           },
         },
         {
-          name: 'list_providers',
-          description: 'List available API providers and their status',
+          name: 'batch_generate',
+          description: 'Generate many images in one call with bounded concurrency. Each item takes the same arguments as generate_image; a failing item does not stop the others.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              items: {
+                type: 'array',
+                description: 'Generation requests, each with the same arguments as generate_image',
+                items: generateImageInputSchema(),
+                minItems: 1,
+              },
+              concurrency: {
+                type: 'integer',
+                description: `Maximum number of items generated at the same time (default: ${DEFAULT_BATCH_CONCURRENCY})`,
+                minimum: 1,
+                maximum: MAX_BATCH_CONCURRENCY,
+              },
+              provider: providerProperty('Default provider for items that do not set one'),
+              save_to_file: {
+                type: 'boolean',
+                description: 'Default for items that do not set save_to_file',
+                default: true,
+              },
+              inline_images: {
+                type: 'boolean',
+                description: 'Return every generated image as an MCP image content block',
+                default: false,
+              },
+            },
+            required: ['items'],
+          },
+        },
+        {
+          name: 'start_generation',
+          description: 'Start a generate_image job in the background and return a job ID immediately. Use for long generations when the client may time out; poll with get_job_status and fetch output with get_job_result. Job output is always saved to ./generated_images/. Session history is not persisted, so a job with session_id that is still pending when the server restarts fails',
+          inputSchema: generateImageInputSchema(),
+        },
+        {
+          name: 'get_job_status',
+          description: 'Get the status, timings and provider of a generation job. Without job_id, lists all known jobs',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              job_id: {
+                type: 'string',
+                description: 'Job ID returned by start_generation',
+              },
+            },
+          },
+        },
+        {
+          name: 'get_job_result',
+          description: 'Get the output of a finished generation job, including its saved images',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              job_id: {
+                type: 'string',
+                description: 'Job ID returned by start_generation',
+              },
+              inline_images: {
+                type: 'boolean',
+                description: 'Return the saved images as MCP image content blocks',
+                default: true,
+              },
+            },
+            required: ['job_id'],
+          },
+        },
+        {
+          name: 'cancel_job',
+          description: 'Cancel a queued or running generation job',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              job_id: {
+                type: 'string',
+                description: 'Job ID returned by start_generation',
+              },
+            },
+            required: ['job_id'],
+          },
+        },
+        {
+          name: 'list_sessions',
+          description: 'List multi-turn editing sessions and their turns',
           inputSchema: {
             type: 'object',
             properties: {},
           },
         },
+        {
+          name: 'branch_session',
+          description: 'Create a new session from the first N turns of an existing one, to explore an alternative edit from an earlier image',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              session_id: {
+                type: 'string',
+                description: 'Session to branch from',
+              },
+              turn: {
+                type: 'integer',
+                description: 'Number of turns to keep (1 = keep only the first exchange, 0 = empty)',
+                minimum: 0,
+              },
+              new_session_id: {
+                type: 'string',
+                description: 'ID for the new session (generated if omitted)',
+              },
+            },
+            required: ['session_id', 'turn'],
+          },
+        },
+        {
+          name: 'reset_session',
+          description: 'Clear the conversation history of a session',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              session_id: {
+                type: 'string',
+                description: 'Session to reset',
+              },
+            },
+            required: ['session_id'],
+          },
+        },
+        {
+          name: 'list_providers',
+          description: 'List available API providers and their status. Set probe to also run the check_providers health check',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              probe: {
+                type: 'boolean',
+                description: 'Make a lightweight authenticated call per provider and include auth status, models and latency',
+                default: false,
+              },
+            },
+          },
+        },
+        {
+          name: 'check_providers',
+          description: 'Health-check providers with a lightweight authenticated call (a model lookup): auth status, quota, reachable models, round-trip latency and the last error. Results are cached for a minute',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              provider: {
+                type: 'string',
+                enum: providerRegistry.ids(),
+                description: 'Only check this provider',
+              },
+              refresh: {
+                type: 'boolean',
+                description: 'Ignore cached results and probe again',
+                default: false,
+              },
+            },
+          },
+        },
+        {
+          name: 'list_models',
+          description: 'List the image-output models each provider offers, queried from the provider APIs',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              provider: {
+                type: 'string',
+                enum: providerRegistry.ids(),
+                description: 'Only list models for this provider',
+              },
+            },
+          },
+        },
         {
           name: 'list_scenarios',
           description: 'List available generation scenarios with descriptions',
@@ -150,14 +490,93 @@ class NanoBananaMCPServer {
       ],
     }));
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      const resources = await listGeneratedResources();
+      return {
+        resources: resources.map(r => ({
+          uri: r.uri,
+          name: `${r.id} #${r.index}`,
+          description: `Saved image ${r.filepath} (${Math.round(r.size / 1024)}KB, ${r.modified.toISOString()})`,
+          mimeType: r.mimeType,
+        })),
+      };
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: [
+        {
+          uriTemplate: GENERATION_URI_TEMPLATE,
+          name: 'Generated image',
+          description: 'An image saved by generate_image. {id} is the generation id (filename prefix) and {index} the 1-based image number',
+        },
+      ],
+    }));
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => ({
+      contents: [await readGeneratedResource(request.params.uri)],
+    }));
+
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: SCENARIOS.map(scenario => ({
+        name: scenario.name,
+        title: scenario.title,
+        description: scenario.description,
+        arguments: getPromptArguments(scenario),
+      })),
+    }));
+
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const scenario = findScenario(request.params.name);
+      if (!scenario) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${request.params.name}`);
+      }
+      const toolArgs = renderScenarioArgs(scenario, request.params.arguments);
+
+      return {
+        description: scenario.description,
+        messages: [
+          {
+            role: 'user' as const,
+            content: {
+              type: 'text' as const,
+              text: `Call the generate_image tool with these arguments:\n\n\`\`\`json\n${JSON.stringify(toolArgs, null, 2)}\n\`\`\``,
+            },
+          },
+        ],
+      };
+    });
+
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
+      const progress = new ProgressReporter(request.params._meta?.progressToken, extra.sendNotification);
 
       switch (name) {
         case 'generate_image':
-          return await this.handleGenerateImage(args as unknown as ImageGenerationArgs);
+          return await this.handleGenerateImage(args as unknown as ImageGenerationArgs, progress, extra.signal);
+        case 'edit_image':
+          return await this.handleEditImage(args as unknown as EditImageArgs, progress, extra.signal);
+        case 'batch_generate':
+          return await this.handleBatchGenerate(args as unknown as BatchGenerateArgs, progress, extra.signal);
+        case 'start_generation':
+          return await this.handleStartGeneration(args as unknown as ImageGenerationArgs);
+        case 'get_job_status':
+          return await this.handleGetJobStatus(args as { job_id?: string });
+        case 'get_job_result':
+          return await this.handleGetJobResult(args as { job_id: string; inline_images?: boolean });
+        case 'cancel_job':
+          return await this.handleCancelJob(args as { job_id: string });
+        case 'list_sessions':
+          return await this.handleListSessions();
+        case 'branch_session':
+          return await this.handleBranchSession(args as { session_id: string; turn: number; new_session_id?: string });
+        case 'reset_session':
+          return await this.handleResetSession(args as { session_id: string });
         case 'list_providers':
-          return await this.handleListProviders();
+          return await this.handleListProviders(args as { probe?: boolean }, extra.signal);
+        case 'check_providers':
+          return await this.handleCheckProviders(args as { provider?: string; refresh?: boolean }, extra.signal);
+        case 'list_models':
+          return await this.handleListModels(args as { provider?: string }, extra.signal);
         case 'list_scenarios':
           return await this.handleListScenarios();
         default:
@@ -166,54 +585,194 @@ class NanoBananaMCPServer {
     });
   }
 
-  private async handleGenerateImage(args: ImageGenerationArgs) {
-    // Select provider
-    const provider = this.selectProvider(args.provider);
-    if (!provider) {
-      throw new Error('No image generation provider is available. Please set either GEMINI_API_KEY or OPENROUTER_API_KEY environment variable.');
+  private async handleGenerateImage(args: ImageGenerationArgs, progress: ProgressReporter, signal?: AbortSignal) {
+    const result = await this.runGeneration(args, progress, signal);
+    return await this.buildToolResponse(result, args, progress, signal);
+  }
+
+  /**
+   * Select a provider, generate, record the session turn and save files if requested
+   */
+  private async runGeneration(args: ImageGenerationArgs, progress: ProgressReporter, signal?: AbortSignal): Promise<GenerationResult> {
+    // Generate image, continuing the session's conversation if one is given.
+    // In auto mode this fails over to the next provider on retryable errors.
+    const history = args.session_id ? sessionStore.getTurns(args.session_id) : undefined;
+    const result = await providerFailover.generate(args, { onProgress: progress.report, signal, history })
+      .finally(() => progress.stopHeartbeat());
+
+    if (args.session_id) {
+      result.session_id = args.session_id;
+      const responseImages = (result.images || []).map(generatedToImageInput).filter(img => img !== null);
+      if (result.success && responseImages.length > 0 && !signal?.aborted) {
+        result.turn = sessionStore.append(args.session_id, {
+          prompt: args.prompt,
+          images: args.images,
+          response_images: responseImages,
+        });
+      }
     }
 
-    // Generate image
-    const result = await provider.generateImage(args);
+    await this.saveResultImages(result, args, progress, signal);
+    return result;
+  }
 
+  private async handleEditImage(args: EditImageArgs, progress: ProgressReporter, signal?: AbortSignal) {
+    if (!args.image) {
+      throw new Error('edit_image requires a source image');
+    }
+    if (!args.mask && !(args.mask_shapes && args.mask_shapes.length > 0)) {
+      throw new Error('edit_image requires a mask image or mask_shapes');
+    }
+    if (!this.selectProvider(args.provider)) {
+      throw new Error(providerRegistry.unavailableMessage(args.provider));
+    }
+
+    // Build the mask and a guide image that shows the provider where to edit
+    progress.report('references', 'Loading source image and mask');
+    const source = await loadImageInput(args.image, signal);
+    const weights = await buildMask(source.width, source.height, {
+      mask: args.mask,
+      shapes: args.mask_shapes,
+      invert: args.invert_mask,
+    }, signal);
+    const sourceBase64 = (await source.getBuffer('image/png')).toString('base64');
+    const guideBase64 = await renderMaskGuide(source, weights);
+
+    const enhancedPrompt = buildInpaintingPrompt(args.prompt);
+    const result = await providerFailover.generate({
+      prompt: enhancedPrompt,
+      provider: args.provider,
+      model: args.model,
+      images: [
+        { base64: sourceBase64, mimeType: 'image/png', description: 'Source image' },
+        { base64: guideBase64, mimeType: 'image/png', description: 'Source image with the edit region highlighted' },
+      ],
+      negative_prompt: args.negative_prompt,
+      safety_settings: args.safety_settings,
+    }, { onProgress: progress.report, signal }).finally(() => progress.stopHeartbeat());
+    result.prompt = args.prompt;
+    result.enhanced_prompt = enhancedPrompt;
+
+    // Put the untouched pixels back so only the masked region changes
+    if (result.success && result.images && result.images.length > 0) {
+      try {
+        const composited: GeneratedImage[] = [];
+        for (const [index, image] of result.images.entries()) {
+          progress.report('decode', `Compositing edited region ${index + 1}/${result.images.length}`, index, result.images.length);
+          const { buffer } = await decodeGeneratedImage(image, signal);
+          const data = await compositeMasked(source, buffer, weights);
+          composited.push({ type: 'base64', data: `data:image/png;base64,${data}`, format: 'png' });
+        }
+        result.images = composited;
+        result.message = 'Image edited successfully';
+      } catch (error: any) {
+        if (signal?.aborted) {
+          this.markCancelled(result);
+        } else {
+          result.success = false;
+          result.images = undefined;
+          result.error = `Failed to composite edited image: ${error.message}`;
+        }
+      }
+    }
+
+    await this.saveResultImages(result, args, progress, signal);
+    return await this.buildToolResponse(result, args, progress, signal);
+  }
+
+  private async saveResultImages(
+    result: GenerationResult,
+    args: Pick<ImageGenerationArgs, 'save_to_file' | 'filename'>,
+    progress: ProgressReporter,
+    signal?: AbortSignal
+  ): Promise<void> {
     // Save images if requested
     if (args.save_to_file && result.success && result.images && result.images.length > 0) {
-      const savedFiles = await saveImages(result.images, args.filename || 'nanobanana');
-      result.saved_files = savedFiles;
+      try {
+        const savedFiles = await saveImages(result.images, args.filename || 'nanobanana', (index, total) => {
+          progress.report('save', `Saving image ${index + 1}/${total}`, index, total);
+        }, signal);
+        result.saved_files = savedFiles;
+        if (savedFiles.length > 0) {
+          generatedImageEvents.emit('saved', savedFiles);
+        }
+      } catch (error) {
+        if (!signal?.aborted) {
+          throw error;
+        }
+        this.markCancelled(result);
+      }
+    }
+  }
+
+  /**
+   * Inline and format a generation result as tool call content
+   */
+  private async buildToolResponse(
+    result: GenerationResult,
+    args: Pick<ImageGenerationArgs, 'show_full_response' | 'inline_images'>,
+    progress: ProgressReporter,
+    signal?: AbortSignal
+  ) {
+    // Build inline image blocks so the client can see the result directly
+    const inlined: InlineImageResult[] = [];
+    if (args.inline_images !== false && result.success && result.images) {
+      for (const image of result.images) {
+        inlined.push(await toImageContent(image, undefined, signal));
+      }
+    }
+    if (signal?.aborted && !result.cancelled) {
+      this.markCancelled(result);
+      inlined.length = 0;
     }
 
     // Format response
-    const response = this.formatResponse(result, args.show_full_response);
-    
+    const response = this.formatResponse(result, args.show_full_response, inlined);
+    progress.complete(result.cancelled ? 'Generation cancelled' : result.success ? 'Generation complete' : 'Generation failed');
+
     return {
       content: [
         {
           type: 'text',
           text: JSON.stringify(response, null, 2),
         },
+        ...this.orderedImageBlocks(result, inlined),
       ],
     };
   }
 
-  private selectProvider(preference?: string): ImageProvider | null {
-    if (preference === 'gemini' && this.geminiProvider.isAvailable()) {
-      return this.geminiProvider;
-    }
-    if (preference === 'openrouter' && this.openRouterProvider.isAvailable()) {
-      return this.openRouterProvider;
+  /**
+   * Inline image blocks, interleaved with the model's text parts in response
+   * order so each caption sits next to the image it describes
+   */
+  private orderedImageBlocks(result: GenerationResult, inlined: InlineImageResult[]): any[] {
+    if (!result.parts || inlined.length === 0) {
+      return inlined.filter(r => r.block).map(r => r.block!);
     }
-    if (preference === 'auto' || !preference) {
-      if (this.geminiProvider.isAvailable()) {
-        return this.geminiProvider;
-      }
-      if (this.openRouterProvider.isAvailable()) {
-        return this.openRouterProvider;
+    const blocks: any[] = [];
+    for (const part of result.parts) {
+      if (part.type === 'text') {
+        blocks.push({ type: 'text', text: part.text });
+      } else if (inlined[part.image - 1]?.block) {
+        blocks.push(inlined[part.image - 1].block);
       }
     }
-    return null;
+    return blocks;
+  }
+
+  private markCancelled(result: GenerationResult): void {
+    result.success = false;
+    result.cancelled = true;
+    result.error = 'Generation cancelled';
+    result.images = undefined;
+    result.saved_files = undefined;
+  }
+
+  private selectProvider(preference?: string): ImageProvider | null {
+    return providerRegistry.select(preference);
   }
 
-  private formatResponse(result: GenerationResult, showFull: boolean = false): any {
+  private formatResponse(result: GenerationResult, showFull: boolean = false, inlined: InlineImageResult[] = []): any {
     const response: any = {
       success: result.success,
       provider: result.provider,
@@ -221,6 +780,17 @@ class NanoBananaMCPServer {
       prompt: result.prompt,
     };
 
+    if (result.cancelled) {
+      response.cancelled = true;
+    }
+
+    if (result.session_id) {
+      response.session_id = result.session_id;
+      if (result.turn) {
+        response.turn = result.turn;
+      }
+    }
+
     if (result.enhanced_prompt) {
       response.enhanced_prompt = result.enhanced_prompt;
     }
@@ -229,12 +799,29 @@ class NanoBananaMCPServer {
       response.message = result.message;
     }
 
+    if (result.text) {
+      response.text = result.text;
+    }
+
     if (result.error) {
       response.error = result.error;
     }
 
+    if (result.blocked) {
+      response.blocked = result.blocked;
+    }
+
+    if (result.retries !== undefined) {
+      response.retries = result.retries;
+    }
+
+    if (result.attempts) {
+      response.attempts = result.attempts;
+    }
+
     if (result.images && result.images.length > 0) {
       response.images = result.images.map((img, index) => {
+        const inline = this.describeInline(inlined[index]);
         if (img.type === 'base64' && img.data) {
           if (showFull) {
             return {
@@ -242,7 +829,8 @@ class NanoBananaMCPServer {
               type: 'base64',
               data: img.data,
               size: formatImageSize(img.data),
-              format: img.format || 'unknown'
+              format: img.format || 'unknown',
+              ...inline
             };
           } else {
             return {
@@ -250,14 +838,15 @@ class NanoBananaMCPServer {
               type: 'base64',
               size: formatImageSize(img.data),
               format: img.format || 'unknown',
-              preview: img.data.substring(0, 100) + '...'
+              ...(inline.inline ? inline : { preview: img.data.substring(0, 100) + '...', ...inline })
             };
           }
         } else if (img.type === 'url' && img.url) {
           return {
             index: index + 1,
             type: 'url',
-            url: img.url
+            url: img.url,
+            ...inline
           };
         }
         return img;
@@ -265,8 +854,14 @@ class NanoBananaMCPServer {
       response.image_count = result.images.length;
     }
 
+    // Only worth repeating when there is an order to preserve
+    if (result.parts && result.images && result.images.length > 0) {
+      response.parts = result.parts;
+    }
+
     if (result.saved_files && result.saved_files.length > 0) {
       response.saved_files = result.saved_files;
+      response.resource_uris = result.saved_files.map(uriForSavedFile);
     }
 
     if (result.usage) {
@@ -276,100 +871,366 @@ class NanoBananaMCPServer {
     return response;
   }
 
-  private async handleListProviders() {
-    const providers = [
-      {
-        name: 'Gemini Direct API',
-        available: this.geminiProvider.isAvailable(),
-        env_var: 'GEMINI_API_KEY',
-        description: this.geminiProvider.getModelInfo()
-      },
-      {
-        name: 'OpenRouter API',
-        available: this.openRouterProvider.isAvailable(),
-        env_var: 'OPENROUTER_API_KEY',
-        description: this.openRouterProvider.getModelInfo()
+  private describeInline(inlined?: InlineImageResult): Record<string, any> {
+    if (!inlined) {
+      return {};
+    }
+    if (inlined.block) {
+      return inlined.downscaled ? { inline: true, inline_downscaled: true } : { inline: true };
+    }
+    return { inline: false, inline_error: inlined.error };
+  }
+
+  private async handleBatchGenerate(args: BatchGenerateArgs, progress: ProgressReporter, signal?: AbortSignal) {
+    if (!Array.isArray(args.items) || args.items.length === 0) {
+      throw new Error('batch_generate requires a non-empty items array');
+    }
+
+    const concurrency = Math.min(Math.max(1, Math.floor(args.concurrency || DEFAULT_BATCH_CONCURRENCY)), MAX_BATCH_CONCURRENCY);
+    const startedAt = Date.now();
+    let completed = 0;
+    // Items continuing the same session run in batch order, each seeing the turns before it
+    const inSession = serializeByKey();
+
+    const settled = await mapWithConcurrency(args.items, concurrency, async (item, index) => {
+      const itemArgs: ImageGenerationArgs = {
+        ...item,
+        provider: item.provider || args.provider,
+        save_to_file: item.save_to_file ?? args.save_to_file ?? true,
+      };
+      const itemStartedAt = Date.now();
+      try {
+        if (signal?.aborted) {
+          return { result: null, error: 'Generation cancelled', cancelled: true, duration_ms: 0 };
+        }
+        const result = await inSession(itemArgs.session_id, () => this.runGeneration(itemArgs, ProgressReporter.none(), signal));
+        return { result, duration_ms: Date.now() - itemStartedAt };
+      } finally {
+        completed++;
+        progress.reportItems(completed, args.items.length, `Completed ${completed}/${args.items.length} items`);
       }
-    ];
+    });
 
-    const text = `Available Providers:
-${providers.map(p => `
-${p.available ? '✓' : '✗'} ${p.name}
-   Environment Variable: ${p.env_var}
-   Status: ${p.available ? 'Configured' : 'Not configured'}
-   
-   ${p.description}
-`).join('\n')}
+    const inlined: InlineImageResult[] = [];
+    const items: any[] = [];
+    for (const [index, outcome] of settled.entries()) {
+      const prompt = args.items[index]?.prompt;
+      if (outcome.status === 'rejected') {
+        items.push({ index: index + 1, success: false, prompt, error: outcome.reason?.message || String(outcome.reason) });
+        continue;
+      }
 
-To use a provider, set the corresponding environment variable in your Claude Desktop configuration.`;
+      const { result, duration_ms } = outcome.value;
+      if (!result) {
+        items.push({ index: index + 1, success: false, cancelled: true, prompt, error: 'Generation cancelled' });
+        continue;
+      }
+
+      const item: any = {
+        index: index + 1,
+        success: result.success,
+        provider: result.provider,
+        model: result.model,
+        prompt: result.prompt,
+        image_count: result.images?.length || 0,
+        duration_ms,
+      };
+      if (result.cancelled) item.cancelled = true;
+      if (result.error) item.error = result.error;
+      if (result.blocked) item.blocked = result.blocked;
+      if (result.text) item.text = result.text;
+      if (result.attempts && result.attempts.length > 1) item.attempts = result.attempts;
+      if (result.saved_files && result.saved_files.length > 0) {
+        item.saved_files = result.saved_files;
+        item.resource_uris = result.saved_files.map(uriForSavedFile);
+      }
+      if (args.inline_images && result.success && result.images && !signal?.aborted) {
+        for (const image of result.images) {
+          inlined.push(await toImageContent(image, undefined, signal));
+        }
+      }
+      items.push(item);
+    }
+
+    const summary = {
+      total: items.length,
+      succeeded: items.filter(i => i.success).length,
+      failed: items.filter(i => !i.success).length,
+      cancelled: items.filter(i => i.cancelled).length,
+      saved_files: items.reduce((n, i) => n + (i.saved_files?.length || 0), 0),
+      concurrency,
+      duration_ms: Date.now() - startedAt,
+    };
+    progress.complete(`Batch finished: ${summary.succeeded}/${summary.total} succeeded`);
 
     return {
       content: [
         {
           type: 'text',
-          text: text,
+          text: JSON.stringify({ success: summary.failed === 0, summary, items }, null, 2),
         },
+        ...inlined.filter(r => r.block).map(r => r.block!),
       ],
     };
   }
 
-  private async handleListScenarios() {
-    const scenarios = [
-      {
-        name: 'text-to-image',
-        description: 'Generate an image from text description only',
-        example: 'A futuristic city at sunset with flying cars'
-      },
-      {
-        name: 'style-transfer',
-        description: 'Apply the artistic style of reference image(s) to new content',
-        example: 'Apply Van Gogh\'s Starry Night style to a photo of a modern city'
-      },
-      {
-        name: 'character-design',
-        description: 'Create character sheets with multiple views and poses',
-        example: 'Design a cyberpunk warrior character with front, side, and back views'
-      },
-      {
-        name: 'pose-modification',
-        description: 'Change the pose of a subject while maintaining appearance',
-        example: 'Make the person in this photo appear to be jumping'
-      },
-      {
-        name: 'background-expansion',
-        description: 'Expand or replace backgrounds while keeping the main subject',
-        example: 'Extend the background to show more of the landscape'
-      },
-      {
-        name: 'multi-reference',
-        description: 'Combine elements from multiple reference images',
-        example: 'Combine the clothing from image 1 with the pose from image 2'
-      },
-      {
-        name: 'cross-view',
-        description: 'Generate different viewing angles or perspectives',
-        example: 'Show this object from a bird\'s eye view'
-      },
-      {
-        name: 'ar-overlay',
-        description: 'Add augmented reality information overlays',
-        example: 'Add holographic UI elements to this scene'
-      },
-      {
-        name: 'photo-enhancement',
-        description: 'Enhance and improve photo quality',
-        example: 'Enhance the lighting and colors in this photo'
+  private async handleStartGeneration(args: ImageGenerationArgs) {
+    if (!args || !args.prompt) {
+      throw new Error('start_generation requires a prompt');
+    }
+    if (!this.selectProvider(args.provider)) {
+      throw new Error(providerRegistry.unavailableMessage(args.provider));
+    }
+
+    const job = await jobManager.submit(args);
+    return this.jsonContent({
+      job_id: job.id,
+      status: job.status,
+      queue_position: jobManager.queuePosition(job.id),
+      message: `Job ${job.status}. Poll get_job_status and fetch output with get_job_result.`,
+    });
+  }
+
+  private async handleGetJobStatus(args: { job_id?: string }) {
+    if (!args?.job_id) {
+      return this.jsonContent({ jobs: jobManager.list().map(job => this.describeJob(job)) });
+    }
+    return this.jsonContent(this.describeJob(this.requireJob(args.job_id)));
+  }
+
+  private async handleGetJobResult(args: { job_id: string; inline_images?: boolean }) {
+    const job = this.requireJob(args.job_id);
+    const response: any = this.describeJob(job);
+
+    if (job.status === 'queued' || job.status === 'running') {
+      response.message = `Job is ${job.status}; try again later`;
+      return this.jsonContent(response);
+    }
+
+    const savedFiles = job.saved_files || [];
+    response.resource_uris = savedFiles.map(uriForSavedFile);
+
+    // Results are read back from the saved files so they survive a restart
+    const blocks = [];
+    if (args.inline_images !== false) {
+      for (const file of savedFiles) {
+        try {
+          const { base64, mimeType } = await readImageFileAsBase64(file);
+          const inlined = await toImageContent({ type: 'base64', data: `data:${mimeType};base64,${base64}` });
+          if (inlined.block) {
+            blocks.push(inlined.block);
+          }
+        } catch (error: any) {
+          response.missing_files = [...(response.missing_files || []), file];
+        }
       }
-    ];
+    }
 
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(response, null, 2),
+        },
+        ...blocks,
+      ],
+    };
+  }
+
+  private async handleCancelJob(args: { job_id: string }) {
+    const job = await jobManager.cancel(this.requireJob(args.job_id).id);
+    return this.jsonContent({
+      ...this.describeJob(job),
+      message: job.status === 'running' ? 'Cancellation requested' : `Job is ${job.status}`,
+    });
+  }
+
+  private requireJob(id: string): Job {
+    const job = id ? jobManager.get(id) : undefined;
+    if (!job) {
+      throw new Error(`Unknown job: ${id}`);
+    }
+    return job;
+  }
+
+  /**
+   * Job metadata for responses; reference image data is left out to keep it small
+   */
+  private describeJob(job: Job): Record<string, any> {
+    const { args, id, ...rest } = job;
+    return {
+      job_id: id,
+      ...rest,
+      prompt: args.prompt,
+      queue_position: jobManager.queuePosition(job.id),
+    };
+  }
+
+  /**
+   * Formatted text for people, plus the same data as structuredContent and,
+   * for clients that don't read structuredContent yet, as a JSON text block
+   */
+  private textWithStructuredContent(text: string, value: Record<string, unknown>) {
+    return {
+      content: [
+        { type: 'text', text },
+        { type: 'text', text: JSON.stringify(value, null, 2) },
+      ],
+      structuredContent: value,
+    };
+  }
+
+  private jsonContent(value: unknown) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(value, null, 2),
+        },
+      ],
+    };
+  }
+
+  private async handleListSessions() {
+    const sessions = sessionStore.list().map(session => ({
+      session_id: session.id,
+      turns: session.dropped_turns + session.turns.length,
+      dropped_turns: session.dropped_turns || undefined,
+      created: session.created.toISOString(),
+      updated: session.updated.toISOString(),
+      branched_from: session.branched_from,
+      history: session.turns.map((turn, index) => ({
+        turn: session.dropped_turns + index + 1,
+        prompt: turn.prompt,
+        reference_images: turn.images?.length || 0,
+        generated_images: turn.response_images.length,
+      })),
+    }));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({ sessions }, null, 2),
+        },
+      ],
+    };
+  }
+
+  private async handleBranchSession(args: { session_id: string; turn: number; new_session_id?: string }) {
+    const session = sessionStore.branch(args.session_id, args.turn, args.new_session_id);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            session_id: session.id,
+            branched_from: session.branched_from,
+            turns: session.dropped_turns + session.turns.length,
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  private async handleResetSession(args: { session_id: string }) {
+    const existed = sessionStore.reset(args.session_id);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: existed,
+            session_id: args.session_id,
+            message: existed ? 'Session history cleared' : `Unknown session: ${args.session_id}`,
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  private async handleListProviders(args: { probe?: boolean } = {}, signal?: AbortSignal) {
+    const autoOrder = providerRegistry.autoOrder().map(r => r.id);
+    const health = args?.probe ? await providerHealth.check(undefined, { signal }) : [];
+    const providers = providerRegistry.list().map(({ id, provider, envVar }) => {
+      const limiter = providerFailover.rateLimiter(id);
+      return {
+        id,
+        name: provider.name,
+        available: provider.isAvailable(),
+        env_var: envVar,
+        circuit: providerFailover.circuitState(id),
+        rate_limit: limiter && { limits: limiter.describeLimits(), in_flight: limiter.inFlight, queued: limiter.queued },
+        description: provider.getModelInfo(),
+        health: health.find(h => h.provider === id),
+      };
+    });
+
+    const text = `Available Providers:
+${providers.map(p => `
+${p.available ? '✓' : '✗'} ${p.name} (provider: "${p.id}")
+   Environment Variable: ${p.env_var || 'n/a'}
+   Status: ${p.available ? 'Configured' : 'Not configured'}${p.circuit === 'closed' ? '' : ` (circuit ${p.circuit}: skipped by auto after repeated failures)`}${p.rate_limit ? `
+   Rate limit: ${p.rate_limit.limits} (${p.rate_limit.in_flight} in flight, ${p.rate_limit.queued} queued)` : ''}${p.health && p.available ? `
+   Health: ${summarizeProviderHealth(p.health)}` : ''}
+   
+   ${p.description}
+`).join('\n')}
+
+"auto" tries: ${autoOrder.join(', ') || 'none'}
+
+To use a provider, set the corresponding environment variable in your Claude Desktop configuration.`;
+
+    return this.textWithStructuredContent(text, {
+      providers: providers.map(({ description, ...rest }) => rest),
+      auto_order: autoOrder,
+    });
+  }
+
+  private async handleCheckProviders(args: { provider?: string; refresh?: boolean } = {}, signal?: AbortSignal) {
+    const providers = await providerHealth.check(args?.provider, { refresh: args?.refresh, signal });
+    return this.textWithStructuredContent(`Provider health:\n${providers.map(formatProviderHealth).join('\n')}`, { providers });
+  }
+
+  private async handleListModels(args: { provider?: string }, signal?: AbortSignal) {
+    const registrations = args?.provider ? [providerRegistry.get(args.provider)] : providerRegistry.list();
+    if (registrations.some(r => !r)) {
+      throw new Error(`Unknown provider "${args.provider}". Registered providers: ${providerRegistry.ids().join(', ')}`);
+    }
+
+    const providers = await Promise.all(registrations.map(async registration => {
+      const { id, provider } = registration!;
+      const entry: any = { provider: id, default_model: provider.defaultModel };
+      if (!provider.isAvailable()) {
+        entry.error = 'Provider is not configured';
+      } else if (!provider.listModels) {
+        entry.error = 'Provider does not support listing models';
+      } else {
+        try {
+          entry.models = await provider.listModels(signal);
+        } catch (error: any) {
+          entry.error = error.message;
+        }
+      }
+      return entry;
+    }));
+
+    return this.jsonContent({ providers });
+  }
+
+  private async handleListScenarios() {
     const text = `Available Generation Scenarios:
-${scenarios.map(s => `
+${SCENARIOS.map(s => `
 • ${s.name}
   ${s.description}
   Example: "${s.example}"
 `).join('\n')}
 
 Use the 'scenario' parameter when generating images to automatically optimize the prompt for your use case.
+Each scenario is also available as an MCP prompt with subject, style, aspect ratio and reference image arguments.
 
 Tips for Nano Banana (Gemini 2.5 Flash Image Preview):
 1. The last reference image determines the final aspect ratio
@@ -387,12 +1248,60 @@ Tips for Nano Banana (Gemini 2.5 Flash Image Preview):
     };
   }
 
+  private notifyResourceListChanged = () => {
+    this.server.sendResourceListChanged().catch(err => {
+      console.error('Failed to send resources/list_changed notification:', err);
+    });
+  };
+
+  /**
+   * Run a generation outside of a tool call, for the background job queue
+   */
+  runJob(args: ImageGenerationArgs, signal: AbortSignal): Promise<GenerationResult> {
+    return this.runGeneration(args, ProgressReporter.none(), signal);
+  }
+
+  async connect(transport: Transport) {
+    generatedImageEvents.on('saved', this.notifyResourceListChanged);
+    this.server.onclose = () => {
+      generatedImageEvents.off('saved', this.notifyResourceListChanged);
+    };
+    await this.server.connect(transport);
+  }
+
+  async close() {
+    await this.server.close();
+  }
+
   async run() {
     const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+    await this.connect(transport);
     console.error('Nano Banana MCP Server running on stdio');
   }
 }
 
-const server = new NanoBananaMCPServer();
-server.run().catch(console.error);
\ No newline at end of file
+async function main() {
+  const options = parseServerOptions(process.argv.slice(2));
+  const { config, baseDir } = await loadConfig(options.configPath);
+  configureNetwork(config.network);
+  await configureProviders(providerRegistry, config, baseDir);
+  providerFailover.configure(config.failover);
+  providerFailover.configureRateLimits(config.providers);
+
+  // Background jobs run on a dedicated instance so they outlive any one client session
+  const jobServer = new NanoBananaMCPServer();
+  jobServer.logProviderStatus();
+  await jobManager.start((args, signal) => jobServer.runJob(args, signal));
+
+  if (options.transport === 'stdio') {
+    await new NanoBananaMCPServer().run();
+    return;
+  }
+
+  await startHttpServer(options, () => new NanoBananaMCPServer());
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,230 @@
+// In-process job queue for long-running generations, persisted to disk
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { randomUUID } from 'crypto';
+import { GenerationResult, ImageGenerationArgs, ProviderAttempt, SafetyBlock } from './types.js';
+import { OUTPUT_DIR } from './utils.js';
+
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled';
+
+export interface Job {
+  id: string;
+  status: JobStatus;
+  args: ImageGenerationArgs;
+  created_at: string;
+  started_at?: string;
+  finished_at?: string;
+  queue_ms?: number;
+  run_ms?: number;
+  provider?: string;
+  model?: string;
+  message?: string;
+  // Text the model returned alongside the images
+  text?: string;
+  error?: string;
+  blocked?: SafetyBlock;
+  saved_files?: string[];
+  image_count?: number;
+  usage?: GenerationResult['usage'];
+  attempts?: ProviderAttempt[];
+  // Number of times the job was re-queued because the server restarted while it was pending
+  resumed?: number;
+}
+
+export type JobRunner = (args: ImageGenerationArgs, signal: AbortSignal) => Promise<GenerationResult>;
+
+export const JOBS_DIR = path.join(OUTPUT_DIR, '.jobs');
+const DEFAULT_JOB_CONCURRENCY = 2;
+
+export class JobManager {
+  private jobs = new Map<string, Job>();
+  private queue: string[] = [];
+  private running = new Map<string, AbortController>();
+  private runner?: JobRunner;
+
+  constructor(private dir: string = JOBS_DIR, private concurrency: number = DEFAULT_JOB_CONCURRENCY) {}
+
+  /**
+   * Load persisted jobs and start processing. Jobs that were queued or running
+   * when the server stopped are queued again, except those continuing a session:
+   * session history is held in memory only, so they fail instead of silently
+   * generating without it.
+   */
+  async start(runner: JobRunner): Promise<void> {
+    this.runner = runner;
+
+    let entries: string[] = [];
+    try {
+      entries = await fs.readdir(this.dir);
+    } catch (error: any) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const loaded: Job[] = [];
+    for (const entry of entries) {
+      if (!entry.endsWith('.json')) {
+        continue;
+      }
+      try {
+        loaded.push(JSON.parse(await fs.readFile(path.join(this.dir, entry), 'utf8')) as Job);
+      } catch (error: any) {
+        console.error(`Skipping unreadable job file ${entry}: ${error.message}`);
+      }
+    }
+
+    loaded.sort((a, b) => a.created_at.localeCompare(b.created_at));
+    for (const job of loaded) {
+      this.jobs.set(job.id, job);
+      if (job.status === 'queued' || job.status === 'running') {
+        delete job.started_at;
+        if (job.args.session_id) {
+          this.finish(job, 'failed', {
+            error: `Server restarted before the job ran; the history of session ${job.args.session_id} was lost. Start the job again to continue from the current session state`,
+          });
+          await this.persist(job);
+          continue;
+        }
+        job.status = 'queued';
+        job.resumed = (job.resumed || 0) + 1;
+        this.queue.push(job.id);
+        await this.persist(job);
+      }
+    }
+    if (this.queue.length > 0) {
+      console.error(`Resuming ${this.queue.length} queued generation job(s)`);
+    }
+
+    this.pump();
+  }
+
+  async submit(args: ImageGenerationArgs): Promise<Job> {
+    if (!this.runner) {
+      throw new Error('Job queue is not running');
+    }
+
+    const job: Job = {
+      id: randomUUID(),
+      status: 'queued',
+      // Jobs always save so results outlive the process
+      args: { ...args, save_to_file: true },
+      created_at: new Date().toISOString(),
+    };
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    await this.persist(job);
+    this.pump();
+    return job;
+  }
+
+  get(id: string): Job | undefined {
+    return this.jobs.get(id);
+  }
+
+  list(): Job[] {
+    return [...this.jobs.values()].sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * 1-based position in the queue, or undefined if the job is not waiting
+   */
+  queuePosition(id: string): number | undefined {
+    const index = this.queue.indexOf(id);
+    return index === -1 ? undefined : index + 1;
+  }
+
+  async cancel(id: string): Promise<Job> {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new Error(`Unknown job: ${id}`);
+    }
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queued => queued !== id);
+      this.finish(job, 'cancelled', { error: 'Job cancelled before it started' });
+      await this.persist(job);
+    } else if (job.status === 'running') {
+      // The run loop records the cancelled status once the provider call unwinds
+      this.running.get(id)?.abort();
+    }
+    return job;
+  }
+
+  private pump(): void {
+    while (this.runner && this.running.size < this.concurrency && this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift()!);
+      if (job) {
+        this.run(job).catch(error => {
+          console.error(`Job ${job.id} failed unexpectedly:`, error);
+        });
+      }
+    }
+  }
+
+  private async run(job: Job): Promise<void> {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    job.queue_ms = Date.parse(job.started_at) - Date.parse(job.created_at);
+    await this.persist(job);
+
+    try {
+      const result = await this.runner!(job.args, controller.signal);
+      job.provider = result.provider;
+      job.model = result.model;
+      job.usage = result.usage;
+      job.attempts = result.attempts;
+      if (result.cancelled || controller.signal.aborted) {
+        this.finish(job, 'cancelled', { error: 'Job cancelled' });
+      } else if (result.success) {
+        this.finish(job, 'succeeded', {
+          message: result.message,
+          text: result.text,
+          saved_files: result.saved_files || [],
+          image_count: result.images?.length || 0,
+        });
+      } else {
+        this.finish(job, 'failed', { error: result.error || 'Generation failed', blocked: result.blocked });
+      }
+    } catch (error: any) {
+      this.finish(job, controller.signal.aborted ? 'cancelled' : 'failed', {
+        error: controller.signal.aborted ? 'Job cancelled' : error.message,
+      });
+    } finally {
+      this.running.delete(job.id);
+      await this.persist(job);
+      this.pump();
+    }
+  }
+
+  private finish(job: Job, status: JobStatus, fields: Partial<Job>): void {
+    Object.assign(job, fields);
+    job.status = status;
+    job.finished_at = new Date().toISOString();
+    if (job.started_at) {
+      job.run_ms = Date.parse(job.finished_at) - Date.parse(job.started_at);
+    }
+  }
+
+  private async persist(job: Job): Promise<void> {
+    // Write then rename so a crash never leaves a truncated job file
+    const file = path.join(this.dir, `${job.id}.json`);
+    const tmp = `${file}.tmp`;
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(tmp, JSON.stringify(job, null, 2));
+      await fs.rename(tmp, file);
+    } catch (error: any) {
+      console.error(`Failed to persist job ${job.id}: ${error.message}`);
+    }
+  }
+}
+
+const configuredConcurrency = parseInt(process.env.NANOBANANA_JOB_CONCURRENCY || '', 10);
+export const jobManager = new JobManager(
+  JOBS_DIR,
+  Number.isFinite(configuredConcurrency) && configuredConcurrency > 0 ? configuredConcurrency : DEFAULT_JOB_CONCURRENCY
+);
@@ -0,0 +1,265 @@
+// Auto-mode failover across registered providers, with a per-provider circuit breaker
+import { GenerationContext, GenerationResult, ImageGenerationArgs, ImageProvider, ProviderAttempt } from '../types.js';
+import { FailoverConfig, ProviderSettings, resolveRateLimit } from '../config.js';
+import { isRetryableError } from '../utils/provider-errors.js';
+import { RateLimiter } from '../utils/rate-limit.js';
+import { ProviderRegistry, providerRegistry } from './registry.js';
+
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 60_000;
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+/**
+ * Opens after `threshold` consecutive retryable failures. While open the
+ * provider is skipped; once `cooldownMs` has passed a single trial request is
+ * let through (half-open) and its outcome closes or re-opens the circuit.
+ */
+export class CircuitBreaker {
+  private failures = 0;
+  private openedAt?: number;
+  private trialInFlight = false;
+
+  constructor(private threshold: number, private cooldownMs: number) {}
+
+  get state(): CircuitState {
+    if (this.openedAt === undefined) {
+      return 'closed';
+    }
+    return Date.now() - this.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+  }
+
+  /**
+   * Whether a request may go to the provider now
+   */
+  allow(): boolean {
+    const state = this.state;
+    if (state === 'closed') {
+      return true;
+    }
+    if (state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess(): void {
+    this.failures = 0;
+    this.openedAt = undefined;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(): void {
+    this.failures++;
+    if (this.openedAt !== undefined || this.failures >= this.threshold) {
+      this.openedAt = Date.now();
+    }
+    this.trialInFlight = false;
+  }
+
+  /**
+   * End a trial without a verdict, e.g. when the request was cancelled
+   */
+  release(): void {
+    this.trialInFlight = false;
+  }
+}
+
+export interface ProviderError {
+  error: string;
+  status?: number;
+  at: string;
+}
+
+export class ProviderFailover {
+  private breakers = new Map<string, CircuitBreaker>();
+  private lastErrors = new Map<string, ProviderError>();
+  private limiters = new Map<string, RateLimiter>();
+  private enabled = true;
+  private threshold = DEFAULT_FAILURE_THRESHOLD;
+  private cooldownMs = DEFAULT_COOLDOWN_MS;
+
+  constructor(private registry: ProviderRegistry) {}
+
+  configure(config: FailoverConfig = {}): void {
+    this.enabled = config.enabled ?? true;
+    this.threshold = config.failure_threshold ?? DEFAULT_FAILURE_THRESHOLD;
+    this.cooldownMs = config.cooldown_ms ?? DEFAULT_COOLDOWN_MS;
+    this.breakers.clear();
+  }
+
+  /**
+   * Set up a rate limiter and request queue for every registered provider that
+   * has a rate limit in the config file or environment (see resolveRateLimit)
+   */
+  configureRateLimits(providers: Record<string, ProviderSettings> = {}, env: NodeJS.ProcessEnv = process.env): void {
+    this.limiters.clear();
+    for (const id of this.registry.ids()) {
+      const limit = resolveRateLimit(id, providers[id]?.rate_limit, env);
+      if (limit) {
+        this.limiters.set(id, new RateLimiter({
+          requestsPerMinute: limit.requests_per_minute,
+          burst: limit.burst,
+          maxConcurrent: limit.max_concurrent,
+          queueTimeoutMs: limit.queue_timeout_ms,
+        }));
+      }
+    }
+  }
+
+  rateLimiter(id: string): RateLimiter | undefined {
+    return this.limiters.get(id);
+  }
+
+  circuitState(id: string): CircuitState {
+    return this.breakers.get(id)?.state ?? 'closed';
+  }
+
+  /**
+   * The most recent failed generation for a provider, for check_providers
+   */
+  lastError(id: string): ProviderError | undefined {
+    return this.lastErrors.get(id);
+  }
+
+  /**
+   * Generate with the requested provider, or in auto mode walk the available
+   * providers in priority order, moving on after retryable failures (408/429/5xx,
+   * network errors) and skipping providers whose circuit is open. Every provider
+   * tried is recorded in result.attempts.
+   */
+  async generate(args: ImageGenerationArgs, context: GenerationContext = {}): Promise<GenerationResult> {
+    const explicit = !!args.provider && args.provider !== 'auto';
+    const candidates = explicit
+      ? [{ id: args.provider!, provider: this.registry.select(args.provider) }].filter(c => c.provider !== null)
+      : this.registry.autoCandidates();
+    if (candidates.length === 0) {
+      throw new Error(this.registry.unavailableMessage(args.provider));
+    }
+
+    const attempts: ProviderAttempt[] = [];
+    let result: GenerationResult | undefined;
+
+    for (const [index, { id, provider }] of candidates.entries()) {
+      const breaker = this.breaker(id);
+      // A provider named explicitly is always tried; the breaker only steers auto mode
+      if (!breaker.allow() && !explicit) {
+        attempts.push({ provider: id, outcome: 'skipped', latency_ms: 0, error: 'Circuit open after repeated failures' });
+        continue;
+      }
+
+      const startedAt = Date.now();
+      const attempt = await this.attempt(id, provider!, args, context);
+      result = attempt.result;
+      const outcome = result.cancelled ? 'cancelled' : result.success ? 'succeeded' : result.blocked ? 'blocked' : 'failed';
+      attempts.push({
+        provider: id,
+        outcome,
+        status: result.status,
+        retries: result.retries,
+        latency_ms: Date.now() - startedAt,
+        queued_ms: attempt.queuedMs,
+        error: result.success ? undefined : result.error,
+      });
+      if (outcome === 'failed' && !attempt.queueTimedOut) {
+        this.lastErrors.set(id, { error: result.error || 'Generation failed', status: result.status, at: new Date().toISOString() });
+      }
+
+      if (outcome === 'cancelled' || attempt.queueTimedOut) {
+        // The provider was never called or its answer never came, so this says nothing about its health
+        breaker.release();
+        if (outcome === 'cancelled') {
+          break;
+        }
+      } else if (outcome === 'succeeded' || !result.retryable) {
+        // A non-retryable failure still means the provider answered
+        breaker.recordSuccess();
+        break;
+      } else {
+        breaker.recordFailure();
+      }
+
+      if (explicit || !this.enabled || index === candidates.length - 1) {
+        break;
+      }
+      const reason = attempt.queueTimedOut ? 'queue timeout' : result.status ? `HTTP ${result.status}` : result.error;
+      console.error(`Provider ${id} failed (${reason}), failing over to the next provider`);
+      context.onProgress?.('provider', `${provider!.name} failed (${reason}), trying the next provider`);
+    }
+
+    if (!result) {
+      result = {
+        success: false,
+        provider: 'none',
+        model: 'none',
+        prompt: args.prompt,
+        error: 'All available providers are skipped after repeated failures. Try again later or name a provider explicitly.',
+        retryable: true,
+      };
+    }
+    result.attempts = attempts;
+    return result;
+  }
+
+  /**
+   * Wait for the provider's rate limiter, if it has one, then generate. A
+   * request with sample_count > 1 takes one token per image, since it may be
+   * sent as that many parallel requests.
+   */
+  private async attempt(
+    id: string,
+    provider: ImageProvider,
+    args: ImageGenerationArgs,
+    context: GenerationContext
+  ): Promise<{ result: GenerationResult; queuedMs?: number; queueTimedOut?: boolean }> {
+    const failure = (error: any, retryable: boolean): GenerationResult => ({
+      success: false,
+      cancelled: context.signal?.aborted || undefined,
+      provider: provider.name,
+      model: 'unknown',
+      prompt: args.prompt,
+      error: error.message,
+      retryable,
+    });
+
+    const limiter = this.limiters.get(id);
+    let release: (() => void) | undefined;
+    let queuedMs: number | undefined;
+    if (limiter) {
+      const queuedAt = Date.now();
+      try {
+        release = await limiter.acquire({
+          cost: args.sample_count,
+          signal: context.signal,
+          onQueued: (position, length) => {
+            context.onProgress?.('provider', `Waiting for ${provider.name}: position ${position} of ${length} in the request queue`);
+          },
+        });
+      } catch (error: any) {
+        return { result: failure(error, true), queuedMs: Date.now() - queuedAt, queueTimedOut: !context.signal?.aborted };
+      }
+      queuedMs = Date.now() - queuedAt;
+    }
+
+    try {
+      return { result: await provider.generateImage(args, context), queuedMs };
+    } catch (error: any) {
+      // Built-in providers report failures in the result; treat a throwing provider the same way
+      return { result: failure(error, isRetryableError(error)), queuedMs };
+    } finally {
+      release?.();
+    }
+  }
+
+  private breaker(id: string): CircuitBreaker {
+    let breaker = this.breakers.get(id);
+    if (!breaker) {
+      breaker = new CircuitBreaker(this.threshold, this.cooldownMs);
+      this.breakers.set(id, breaker);
+    }
+    return breaker;
+  }
+}
+
+export const providerFailover = new ProviderFailover(providerRegistry);
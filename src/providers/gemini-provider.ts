@@ -1,31 +1,64 @@
-import fetch from 'node-fetch';
 import { Jimp } from 'jimp';
-import { ImageProvider, ImageGenerationArgs, GenerationResult, ImageInput } from '../types.js';
+import { RequestInit, Response } from 'node-fetch';
+import { ImageProvider, ImageGenerationArgs, GenerationResult, GenerationContext, ImageInput, ConversationTurn, ModelInfo, ListModelsOptions, GeneratedImage, ResponsePart } from '../types.js';
+import { ProviderSettings } from '../config.js';
 import { parseAspectRatio, generateBlankImageSync, getAspectRatioPrompt } from '../utils/aspect-ratio.js';
-import { readImageFileAsBase64 } from '../utils.js';
+import { ProviderHttpError, isRetryableError, providerErrorFromResponse } from '../utils/provider-errors.js';
+import { RetryPolicy, resolveRetryPolicy, withRetry, SINGLE_ATTEMPT_POLICY } from '../utils/retry.js';
+import { toGeminiSafetySettings, parseGeminiSafetyBlock, describeSafetyBlock } from '../utils/safety.js';
+import { fanOutSeed, mergeGenerationResults } from '../utils/fan-out.js';
+import { fetch } from '../utils/http.js';
+import { FileUploadConfig, GeminiFileStore, OffloadResult, isMissingFileError } from '../utils/gemini-files.js';
+import { readImageFileAsBase64, fetchImageAsBase64, throwIfCancelled } from '../utils.js';
 
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-image-preview:generateContent';
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash-image-preview';
+
+export interface GeminiSettings extends ProviderSettings {
+  // When reference images go through the Files API instead of being inlined
+  file_upload?: FileUploadConfig;
+}
 
 export class GeminiProvider implements ImageProvider {
   name = 'Gemini Direct API';
+  defaultModel: string;
+  // Used in error and progress messages, and as the provider reported in results
+  protected apiLabel = 'Gemini';
+  protected resultLabel = 'Gemini Direct';
+  protected retryPolicy: RetryPolicy;
   private apiKey: string | undefined;
+  private baseUrl: string;
+  // Large reference images are uploaded here; unset where the Files API is not available
+  protected fileStore?: GeminiFileStore;
+  // Models that rejected candidateCount > 1; their samples are always fanned out
+  private singleCandidateModels = new Set<string>();
 
-  constructor() {
+  constructor(settings: GeminiSettings = {}) {
     this.apiKey = process.env.GEMINI_API_KEY;
+    this.baseUrl = (settings.base_url || process.env.GEMINI_BASE_URL || GEMINI_API_BASE).replace(/\/+$/, '');
+    this.retryPolicy = resolveRetryPolicy(settings.retry);
+    this.defaultModel = settings.model || DEFAULT_GEMINI_MODEL;
+    if (settings.file_upload?.enabled !== false) {
+      this.fileStore = new GeminiFileStore(this.baseUrl, () => this.authHeaders(), this.retryPolicy, settings.file_upload);
+    }
   }
 
   isAvailable(): boolean {
     return !!this.apiKey;
   }
 
-  async generateImage(args: ImageGenerationArgs): Promise<GenerationResult> {
-    if (!this.apiKey) {
-      throw new Error('GEMINI_API_KEY environment variable is not set');
-    }
+  async generateImage(args: ImageGenerationArgs, context: GenerationContext = {}): Promise<GenerationResult> {
+    const onProgress = context.onProgress || (() => {});
+    const signal = context.signal;
+
+    this.requireCredentials();
+    const model = this.resolveModel(args.model);
 
     try {
       // Parse aspect ratio if provided
       const aspectRatioConfig = parseAspectRatio(args.aspect_ratio);
+      const safetySettings = toGeminiSafetySettings(args.safety_settings);
+      const generationConfig = this.buildGenerationConfig(args);
       
       const parts: any[] = [
         { text: this.buildPrompt(args, aspectRatioConfig) }
@@ -33,32 +66,12 @@ export class GeminiProvider implements ImageProvider {
 
       // Add reference images if provided
       if (args.images && args.images.length > 0) {
-        for (const image of args.images) {
-          if (image.base64) {
-            parts.push({
-              inline_data: {
-                mime_type: image.mimeType || 'image/png',
-                data: image.base64.replace(/^data:.*?;base64,/, '')
-              }
-            });
-          } else if (image.path) {
-            // Read local file and convert to base64
-            const imageData = await readImageFileAsBase64(image.path);
-            parts.push({
-              inline_data: {
-                mime_type: image.mimeType || imageData.mimeType,
-                data: imageData.base64
-              }
-            });
-          } else if (image.url) {
-            // Fetch and convert URL to base64
-            const imageData = await this.fetchImageAsBase64(image.url);
-            parts.push({
-              inline_data: {
-                mime_type: imageData.mimeType,
-                data: imageData.base64
-              }
-            });
+        for (const [index, image] of args.images.entries()) {
+          throwIfCancelled(signal);
+          onProgress('references', `Resolving reference image ${index + 1}/${args.images.length}`, index, args.images.length);
+          const part = await this.toInlineDataPart(image, signal);
+          if (part) {
+            parts.push(part);
           }
         }
       }
@@ -67,6 +80,8 @@ export class GeminiProvider implements ImageProvider {
       // According to Zenn article: original image + blank image + prompt
       // The blank image (last image) determines the output aspect ratio
       if (aspectRatioConfig) {
+        throwIfCancelled(signal);
+        onProgress('canvas', `Rendering ${aspectRatioConfig.width}x${aspectRatioConfig.height} aspect-ratio canvas`);
         // Generate a larger blank image that matches target dimensions
         const blankImage = await this.generateLargeBlankImage(aspectRatioConfig);
         parts.push({
@@ -77,68 +92,286 @@ export class GeminiProvider implements ImageProvider {
         });
       }
 
-      const response = await fetch(GEMINI_API_URL, {
-        method: 'POST',
-        headers: {
-          'x-goog-api-key': this.apiKey,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: parts
-          }]
-        }),
-      });
+      // Replay earlier turns when continuing a session
+      const history = await this.buildHistoryContents(context.history, signal);
+      const contents = [
+        ...history,
+        {
+          role: 'user',
+          parts: parts
+        }
+      ];
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
+      throwIfCancelled(signal);
+      let uploaded = await this.uploadLargeImages(contents, context);
+      const sendRequest = async (config: Record<string, any>): Promise<GenerationResult> => {
+        const result = await this.send(model, args, { contents: uploaded.contents, ...config }, context);
+        if (result.success || uploaded.uris.length === 0 || !isMissingFileError(result.status, result.error)) {
+          return result;
+        }
+        // An uploaded reference expired or was deleted before its cached expiry: upload again, once
+        this.fileStore!.forget(uploaded.uris);
+        uploaded = await this.uploadLargeImages(contents, context);
+        return this.send(model, args, { contents: uploaded.contents, ...config }, context);
+      };
+
+      const count = args.sample_count && args.sample_count > 1 ? args.sample_count : 1;
+      if (count === 1) {
+        return await sendRequest({ safetySettings, generationConfig });
+      }
+
+      // Ask for all candidates at once; models that reject candidateCount, or
+      // return fewer images than asked for, are topped up with parallel requests
+      const results: GenerationResult[] = [];
+      if (!this.singleCandidateModels.has(model)) {
+        const result = await sendRequest({ safetySettings, generationConfig: { ...generationConfig, candidateCount: count } });
+        if (!result.success && result.status === 400 && /candidate/i.test(result.error || '')) {
+          this.singleCandidateModels.add(model);
+        } else if (!result.success || (result.images?.length || 0) >= count) {
+          return result;
+        } else {
+          results.push(result);
+        }
       }
 
+      const missing = count - (results[0]?.images?.length || 0);
+      onProgress('provider', `Sending ${missing} parallel ${this.apiLabel} request(s) for the remaining images`);
+      results.push(...await Promise.all(Array.from({ length: missing }, (_, index) => sendRequest({
+        safetySettings,
+        generationConfig: { ...generationConfig, seed: fanOutSeed(args.seed, results.length + index) },
+      }))));
+      return mergeGenerationResults(results);
+    } catch (error: any) {
+      if (signal?.aborted) {
+        return {
+          success: false,
+          cancelled: true,
+          provider: this.resultLabel,
+          model,
+          prompt: args.prompt,
+          error: 'Generation cancelled'
+        };
+      }
+      return {
+        success: false,
+        provider: this.resultLabel,
+        model,
+        prompt: args.prompt,
+        error: error.message,
+        retryable: isRetryableError(error)
+      };
+    }
+  }
+
+  /**
+   * Send one generateContent request (retrying transient failures) and turn
+   * the response into a result. Failures are returned, not thrown.
+   */
+  private async send(model: string, args: ImageGenerationArgs, body: any, context: GenerationContext): Promise<GenerationResult> {
+    const onProgress = context.onProgress || (() => {});
+    const signal = context.signal;
+
+    let retries = 0;
+    try {
+      onProgress('provider', `Waiting for ${this.apiLabel} API response`);
+      const response = await withRetry(this.retryPolicy, async () => {
+        const res = await this.fetchWithAuth(this.generateContentUrl(model), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          signal,
+          body: JSON.stringify(body),
+        });
+        if (!res.ok) {
+          throw await providerErrorFromResponse(this.apiLabel, res);
+        }
+        return res;
+      }, {
+        signal,
+        onRetry: (error, attempt, delayMs) => {
+          retries = attempt;
+          const reason = error instanceof ProviderHttpError ? `returned ${error.status}` : 'request failed';
+          onProgress('provider', `${this.apiLabel} API ${reason}, retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt + 1}/${this.retryPolicy.max_attempts})`);
+        },
+      });
+
       const data = await response.json() as any;
       
-      // Extract generated images from response - loop through ALL candidates and parts
-      const images = [];
-      if (data.candidates && Array.isArray(data.candidates)) {
-        for (const candidate of data.candidates) {
-          if (candidate.content && candidate.content.parts) {
-            for (const part of candidate.content.parts) {
-              if (part.inline_data) {
-                images.push({
-                  type: 'base64' as const,
-                  data: `data:${part.inline_data.mime_type || 'image/png'};base64,${part.inline_data.data}`,
-                  format: part.inline_data.mime_type?.split('/')[1] || 'png'
-                });
-              }
-            }
+      // Walk every candidate's parts in order, keeping text next to the images it describes
+      const images: GeneratedImage[] = [];
+      const responseParts: ResponsePart[] = [];
+      const candidates: any[] = Array.isArray(data.candidates) ? data.candidates : [];
+      const total = candidates.reduce((count, c) => count + (c.content?.parts || []).filter((p: any) => p.inlineData || p.inline_data).length, 0);
+      for (const candidate of candidates) {
+        for (const part of candidate.content?.parts || []) {
+          // REST responses use camelCase (inlineData); accept snake_case too
+          const inline = part.inlineData || part.inline_data;
+          if (inline) {
+            onProgress('decode', `Decoding image ${images.length + 1}/${total}`, images.length, total);
+            const mimeType = inline.mimeType || inline.mime_type || 'image/png';
+            images.push({
+              type: 'base64',
+              data: `data:${mimeType};base64,${inline.data}`,
+              format: mimeType.split('/')[1] || 'png'
+            });
+            responseParts.push({ type: 'image', image: images.length });
+          } else if (typeof part.text === 'string' && part.text.trim() && !part.thought) {
+            // Thought summaries are not part of the answer
+            responseParts.push({ type: 'text', text: part.text.trim() });
           }
         }
       }
+      const text = responseParts.flatMap(p => p.type === 'text' ? [p.text] : []).join('\n\n') || undefined;
+
+      const usage = data.usageMetadata ? {
+        input_tokens: data.usageMetadata.promptTokenCount,
+        output_tokens: data.usageMetadata.candidatesTokenCount,
+        tokens: data.usageMetadata.totalTokenCount
+      } : undefined;
+
+      // A blocked prompt or withheld output comes back as a 200 with no images
+      const blocked = parseGeminiSafetyBlock(data, images.length);
+      if (blocked) {
+        return {
+          success: false,
+          provider: this.resultLabel,
+          model,
+          prompt: args.prompt,
+          error: describeSafetyBlock(this.apiLabel, blocked),
+          blocked,
+          text,
+          retries,
+          retryable: false,
+          usage
+        };
+      }
 
       return {
         success: true,
-        provider: 'Gemini Direct',
-        model: 'gemini-2.5-flash-image-preview',
+        provider: this.resultLabel,
+        model,
         prompt: args.prompt,
         images: images,
-        message: 'Image generated successfully',
-        usage: data.usageMetadata ? {
-          input_tokens: data.usageMetadata.promptTokenCount,
-          output_tokens: data.usageMetadata.candidatesTokenCount,
-          tokens: data.usageMetadata.totalTokenCount
-        } : undefined
+        text,
+        parts: text ? responseParts : undefined,
+        message: images.length > 0 ? 'Image generated successfully' : 'No images returned',
+        retries,
+        usage
       };
     } catch (error: any) {
+      if (signal?.aborted) {
+        return {
+          success: false,
+          cancelled: true,
+          provider: this.resultLabel,
+          model,
+          prompt: args.prompt,
+          error: 'Generation cancelled'
+        };
+      }
       return {
         success: false,
-        provider: 'Gemini Direct',
-        model: 'gemini-2.5-flash-image-preview',
+        provider: this.resultLabel,
+        model,
         prompt: args.prompt,
-        error: error.message
+        error: error.message,
+        status: error instanceof ProviderHttpError ? error.status : undefined,
+        retries,
+        retryable: isRetryableError(error)
       };
     }
   }
 
+  /**
+   * Move reference and history images that are too large to inline to the Files API
+   */
+  private async uploadLargeImages(contents: any[], context: GenerationContext): Promise<OffloadResult> {
+    if (!this.fileStore) {
+      return { contents, uris: [] };
+    }
+    return this.fileStore.offload(contents, context.signal, (index, total, bytes) => {
+      context.onProgress?.('references', `Uploading image ${index + 1}/${total} (${(bytes / 1024 / 1024).toFixed(1)} MB) to the ${this.apiLabel} Files API`, index, total);
+    });
+  }
+
+  private async toInlineDataPart(image: ImageInput, signal?: AbortSignal): Promise<any | null> {
+    if (image.base64) {
+      return {
+        inline_data: {
+          mime_type: image.mimeType || 'image/png',
+          data: image.base64.replace(/^data:.*?;base64,/, '')
+        }
+      };
+    } else if (image.path) {
+      // Read local file and convert to base64
+      const imageData = await readImageFileAsBase64(image.path, signal);
+      return {
+        inline_data: {
+          mime_type: image.mimeType || imageData.mimeType,
+          data: imageData.base64
+        }
+      };
+    } else if (image.url) {
+      // Fetch and convert URL to base64
+      const imageData = await fetchImageAsBase64(image.url, signal);
+      return {
+        inline_data: {
+          mime_type: imageData.mimeType,
+          data: imageData.base64
+        }
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Replay earlier session turns as alternating user/model contents
+   */
+  private async buildHistoryContents(history: ConversationTurn[] = [], signal?: AbortSignal): Promise<any[]> {
+    const contents: any[] = [];
+    for (const turn of history) {
+      const userParts: any[] = [{ text: turn.prompt }];
+      for (const image of turn.images || []) {
+        const part = await this.toInlineDataPart(image, signal);
+        if (part) {
+          userParts.push(part);
+        }
+      }
+      const modelParts: any[] = [];
+      for (const image of turn.response_images) {
+        const part = await this.toInlineDataPart(image, signal);
+        if (part) {
+          modelParts.push(part);
+        }
+      }
+      contents.push({ role: 'user', parts: userParts }, { role: 'model', parts: modelParts });
+    }
+    return contents;
+  }
+
+  /**
+   * generationConfig for the request, or undefined to keep the model defaults
+   */
+  private buildGenerationConfig(args: ImageGenerationArgs): any | undefined {
+    const config: Record<string, any> = {};
+    switch (args.response_modalities) {
+      case undefined:
+        break;
+      case 'image':
+        config.responseModalities = ['IMAGE'];
+        break;
+      case 'text+image':
+        config.responseModalities = ['TEXT', 'IMAGE'];
+        break;
+      default:
+        throw new Error(`Unknown response_modalities "${args.response_modalities}". Use "image" or "text+image"`);
+    }
+    if (args.temperature !== undefined) config.temperature = args.temperature;
+    if (args.top_p !== undefined) config.topP = args.top_p;
+    if (args.top_k !== undefined) config.topK = args.top_k;
+    if (args.seed !== undefined) config.seed = args.seed;
+    return Object.keys(config).length > 0 ? config : undefined;
+  }
+
   private buildPrompt(args: ImageGenerationArgs, aspectRatioConfig?: any): string {
     let prompt = args.prompt;
 
@@ -158,11 +391,6 @@ export class GeminiProvider implements ImageProvider {
       prompt += ` Avoid: ${args.negative_prompt}.`;
     }
 
-    // Add sample count if specified
-    if (args.sample_count && args.sample_count > 1) {
-      prompt = `Generate ${args.sample_count} variations of: ${prompt}`;
-    }
-
     return prompt;
   }
 
@@ -181,19 +409,6 @@ export class GeminiProvider implements ImageProvider {
     return (enhancements[scenario] || '') + prompt;
   }
 
-  private async fetchImageAsBase64(url: string): Promise<{ base64: string; mimeType: string }> {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch image from URL: ${url}`);
-    }
-    
-    const buffer = await response.arrayBuffer();
-    const base64 = Buffer.from(buffer).toString('base64');
-    const mimeType = response.headers.get('content-type') || 'image/png';
-    
-    return { base64, mimeType };
-  }
-
   private async generateLargeBlankImage(config: any): Promise<string> {
     try {
       // Create a blank white image with the actual target dimensions
@@ -225,12 +440,94 @@ export class GeminiProvider implements ImageProvider {
     }
   }
 
+  /**
+   * Throw if the provider is called without credentials
+   */
+  protected requireCredentials(): void {
+    if (!this.apiKey) {
+      throw new Error('GEMINI_API_KEY environment variable is not set');
+    }
+  }
+
+  protected generateContentUrl(model: string): string {
+    return `${this.baseUrl}/models/${model}:generateContent`;
+  }
+
+  protected async authHeaders(): Promise<Record<string, string>> {
+    return { 'x-goog-api-key': this.apiKey! };
+  }
+
+  /**
+   * Drop cached credentials the API rejected. Returns true when fresh ones
+   * can be fetched, so the request is worth repeating; an API key cannot.
+   */
+  protected refreshCredentials(): boolean {
+    return false;
+  }
+
+  /**
+   * fetch with the auth headers added. A 401 is retried once with fresh
+   * credentials when the provider can obtain them.
+   */
+  protected async fetchWithAuth(url: string, init: RequestInit & { headers?: Record<string, string> }): Promise<Response> {
+    const send = async () => fetch(url, { ...init, headers: { ...await this.authHeaders(), ...init.headers } });
+    const res = await send();
+    if (res.status !== 401 || !this.refreshCredentials()) {
+      return res;
+    }
+    await res.arrayBuffer();
+    return send();
+  }
+
+  /**
+   * Accept bare IDs as well as the "models/..." and OpenRouter-style "google/..." forms
+   */
+  private resolveModel(requested?: string): string {
+    return (requested || this.defaultModel).replace(/^(models|google)\//, '');
+  }
+
+  async listModels(signal?: AbortSignal, options: ListModelsOptions = {}): Promise<ModelInfo[]> {
+    if (!this.apiKey) {
+      throw new Error('GEMINI_API_KEY environment variable is not set');
+    }
+    const apiKey = this.apiKey;
+    const policy = options.retry === false ? SINGLE_ATTEMPT_POLICY : this.retryPolicy;
+
+    const models: ModelInfo[] = [];
+    let pageToken: string | undefined;
+    do {
+      const url = `${this.baseUrl}/models?pageSize=1000${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`;
+      const data = await withRetry(policy, async () => {
+        const res = await fetch(url, { headers: { 'x-goog-api-key': apiKey }, signal });
+        if (!res.ok) {
+          throw await providerErrorFromResponse('Gemini', res);
+        }
+        return await res.json() as any;
+      }, { signal });
+
+      for (const entry of data.models || []) {
+        const id = String(entry.name || '').replace(/^models\//, '');
+        // The endpoint does not report output modalities; image-output Gemini models carry "image" in their ID
+        if (id.includes('image') && (entry.supportedGenerationMethods || []).includes('generateContent')) {
+          models.push({ id, name: entry.displayName, description: entry.description, default: id === this.defaultModel });
+        }
+      }
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+
+    return models;
+  }
+
   getModelInfo(): string {
     return `Gemini 2.5 Flash Image Preview (Nano Banana)
 • Direct Google API access
 • Advanced image generation with reference image support
 • Multi-modal understanding
 • Aspect ratio control through natural language
-• Style transfer and image manipulation capabilities`;
+• Style transfer and image manipulation capabilities
+• Per-request safety thresholds (safety_settings)
+• temperature, top_p, top_k and seed; sample_count as candidateCount
+• Large reference images uploaded through the Files API
+• Default model: ${this.defaultModel}`;
   }
 }
\ No newline at end of file
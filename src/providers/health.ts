@@ -0,0 +1,185 @@
+// Provider health checks: a lightweight authenticated call per provider, cached briefly
+import { ImageProvider, ProviderProbe } from '../types.js';
+import { ProviderHttpError } from '../utils/provider-errors.js';
+import { abortable } from '../utils/retry.js';
+import { CircuitState, ProviderError, ProviderFailover, providerFailover } from './failover.js';
+import { ProviderRegistration, ProviderRegistry, providerRegistry } from './registry.js';
+
+const HEALTH_CACHE_MS = 60_000;
+const PROBE_TIMEOUT_MS = 15_000;
+
+export interface ProviderHealth {
+  provider: string;
+  name: string;
+  configured: boolean;
+  // ok: the probe call succeeded; invalid: the credentials were rejected (401/403);
+  // unknown: the call failed for another reason or the provider cannot be probed
+  auth: 'ok' | 'invalid' | 'unknown' | 'not_configured';
+  reachable?: boolean;
+  quota_exhausted?: boolean;
+  quota?: Record<string, any>;
+  // Image models the provider reported
+  models?: string[];
+  default_model?: string;
+  default_model_available?: boolean;
+  latency_ms?: number;
+  // HTTP status and error of a failed probe
+  status?: number;
+  error?: string;
+  // Most recent failed generation, independent of the probe
+  last_error?: ProviderError;
+  circuit: CircuitState;
+  checked_at: string;
+  cached: boolean;
+}
+
+export class ProviderHealthChecker {
+  private cache = new Map<string, { health: ProviderHealth; expiresAt: number }>();
+  private pending = new Map<string, Promise<ProviderHealth>>();
+
+  constructor(
+    private registry: ProviderRegistry,
+    private failover: ProviderFailover,
+    private cacheMs: number = HEALTH_CACHE_MS
+  ) {}
+
+  /**
+   * Check every registered provider, or only `id`. Results younger than the
+   * cache lifetime are reused unless `refresh` is set; concurrent checks of the
+   * same provider share one probe. Aborting `signal` stops this caller waiting
+   * but not the shared probe, which is bounded by its own timeout.
+   */
+  async check(id?: string, options: { refresh?: boolean; signal?: AbortSignal } = {}): Promise<ProviderHealth[]> {
+    const registrations = id ? [this.registry.get(id)] : this.registry.list();
+    if (registrations.some(r => !r)) {
+      throw new Error(`Unknown provider "${id}". Registered providers: ${this.registry.ids().join(', ')}`);
+    }
+    return Promise.all(registrations.map(registration => this.checkOne(registration!, options)));
+  }
+
+  private async checkOne(registration: ProviderRegistration, options: { refresh?: boolean; signal?: AbortSignal }): Promise<ProviderHealth> {
+    const { id } = registration;
+    const cached = this.cache.get(id);
+    if (cached && !options.refresh && Date.now() < cached.expiresAt) {
+      // Circuit state and last error are live, not part of the cached probe
+      return { ...cached.health, circuit: this.failover.circuitState(id), last_error: this.failover.lastError(id), cached: true };
+    }
+
+    let pending = this.pending.get(id);
+    if (!pending) {
+      pending = this.probe(registration).then(health => {
+        this.cache.set(id, { health, expiresAt: Date.now() + this.cacheMs });
+        return health;
+      }).finally(() => {
+        this.pending.delete(id);
+      });
+      this.pending.set(id, pending);
+    }
+    return abortable(pending, options.signal);
+  }
+
+  private async probe({ id, provider }: ProviderRegistration): Promise<ProviderHealth> {
+    const health: ProviderHealth = {
+      provider: id,
+      name: provider.name,
+      configured: provider.isAvailable(),
+      auth: 'not_configured',
+      default_model: provider.defaultModel,
+      circuit: this.failover.circuitState(id),
+      last_error: this.failover.lastError(id),
+      checked_at: new Date().toISOString(),
+      cached: false,
+    };
+    if (!health.configured) {
+      return health;
+    }
+    if (!provider.probe && !provider.listModels) {
+      health.auth = 'unknown';
+      health.error = 'Provider does not support health checks';
+      return health;
+    }
+
+    const timeout = AbortSignal.timeout(PROBE_TIMEOUT_MS);
+    const startedAt = Date.now();
+    try {
+      const result = await runProbe(provider, timeout);
+      health.latency_ms = Date.now() - startedAt;
+      health.auth = 'ok';
+      health.reachable = true;
+      health.models = result.models;
+      if (provider.defaultModel) {
+        health.default_model_available = result.models.includes(provider.defaultModel);
+      }
+      if (result.quota) {
+        health.quota = result.quota;
+      }
+      if (result.quota_exhausted !== undefined) {
+        health.quota_exhausted = result.quota_exhausted;
+      }
+    } catch (error: any) {
+      health.latency_ms = Date.now() - startedAt;
+      health.error = timeout.aborted ? `No response within ${PROBE_TIMEOUT_MS / 1000}s` : error.message;
+      if (error instanceof ProviderHttpError) {
+        health.status = error.status;
+        health.reachable = true;
+        if (error.status === 401 || error.status === 403) {
+          health.auth = 'invalid';
+        } else if (error.status === 429) {
+          // The key was accepted; its quota or rate limit is used up
+          health.auth = 'ok';
+          health.quota_exhausted = true;
+        } else {
+          health.auth = 'unknown';
+        }
+      } else {
+        health.auth = 'unknown';
+        health.reachable = false;
+      }
+    }
+    return health;
+  }
+}
+
+async function runProbe(provider: ImageProvider, signal: AbortSignal): Promise<ProviderProbe> {
+  if (provider.probe) {
+    return provider.probe(signal);
+  }
+  const models = await provider.listModels!(signal, { retry: false });
+  return { models: models.map(m => m.id) };
+}
+
+/**
+ * One line per provider for the text content of check_providers
+ */
+export function formatProviderHealth(health: ProviderHealth): string {
+  const ok = health.auth === 'ok' && !health.quota_exhausted && !health.error;
+  return `${!health.configured ? '✗' : ok ? '✓' : '⚠'} ${health.name} (${health.provider}): ${summarizeProviderHealth(health)}`;
+}
+
+/**
+ * Probe outcome without the provider name, followed by indented error lines
+ */
+export function summarizeProviderHealth(health: ProviderHealth): string {
+  if (!health.configured) {
+    return 'not configured';
+  }
+  const details = [
+    `auth ${health.auth}`,
+    health.latency_ms !== undefined ? `${health.latency_ms} ms` : '',
+    health.models ? `${health.models.length} image model(s)` : '',
+    health.default_model_available === false ? `default model ${health.default_model} not listed` : '',
+    health.quota_exhausted ? 'quota exhausted' : '',
+    health.circuit !== 'closed' ? `circuit ${health.circuit}` : '',
+    health.cached ? 'cached' : '',
+  ].filter(Boolean).join(', ');
+  const lines = [details];
+  if (health.error) {
+    lines.push(`   Error: ${health.error}`);
+  }
+  if (health.last_error) {
+    lines.push(`   Last generation error (${health.last_error.at}): ${health.last_error.error}`);
+  }
+  return lines.join('\n');
+}
+
+export const providerHealth = new ProviderHealthChecker(providerRegistry, providerFailover);
@@ -0,0 +1,273 @@
+import { FormData, Blob } from 'node-fetch';
+import { ImageProvider, ImageGenerationArgs, GenerationResult, GenerationContext, ImageInput, GeneratedImage, ModelInfo, ListModelsOptions } from '../types.js';
+import { ProviderSettings } from '../config.js';
+import { parseAspectRatio } from '../utils/aspect-ratio.js';
+import { ProviderHttpError, isRetryableError, providerErrorFromResponse } from '../utils/provider-errors.js';
+import { RetryPolicy, resolveRetryPolicy, withRetry, SINGLE_ATTEMPT_POLICY } from '../utils/retry.js';
+import { fetch } from '../utils/http.js';
+import { readImageFileAsBase64, fetchImageAsBase64, throwIfCancelled } from '../utils.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+export const DEFAULT_OPENAI_IMAGE_MODEL = 'gpt-image-1';
+// The only sizes api.openai.com accepts for gpt-image-1; anything else is a 400
+export const OPENAI_IMAGE_SIZES = ['1024x1024', '1536x1024', '1024x1536'];
+
+export interface OpenAICompatibleSettings extends ProviderSettings {
+  // Display name, also used in error messages
+  name?: string;
+  api_key?: string;
+  // Environment variable holding the key when api_key is not set. Only the built-in
+  // openai provider defaults to OPENAI_API_KEY; other backends send no key without one
+  api_key_env?: string;
+  // Sizes the backend accepts, e.g. ["1024x1024", "1536x1024", "1024x1536"]. The
+  // closest aspect ratio is used. Without a list, api.openai.com gets OPENAI_IMAGE_SIZES
+  // and other backends the exact parsed size
+  sizes?: string[];
+  // Sent as response_format when set; some backends (gpt-image-1) reject the parameter
+  response_format?: 'b64_json' | 'url';
+}
+
+/**
+ * Any backend that implements the OpenAI Images API: /images/generations for
+ * text-to-image and /images/edits when reference images are given.
+ */
+export class OpenAICompatibleProvider implements ImageProvider {
+  name: string;
+  defaultModel: string;
+  private baseUrl: string;
+  private apiKey: string | undefined;
+  private configured: boolean;
+  private sizes?: string[];
+  private responseFormat?: 'b64_json' | 'url';
+  private retryPolicy: RetryPolicy;
+
+  constructor(settings: OpenAICompatibleSettings = {}) {
+    this.name = settings.name || 'OpenAI Images API';
+    this.apiKey = settings.api_key || (settings.api_key_env ? process.env[settings.api_key_env] : undefined);
+    this.baseUrl = (settings.base_url || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    // Self-hosted backends often need no key; an explicit base URL is enough to enable them
+    this.configured = !!this.apiKey || !!(settings.base_url || process.env.OPENAI_BASE_URL);
+    this.defaultModel = settings.model || DEFAULT_OPENAI_IMAGE_MODEL;
+    this.sizes = settings.sizes || (new URL(this.baseUrl).hostname === 'api.openai.com' ? OPENAI_IMAGE_SIZES : undefined);
+    this.responseFormat = settings.response_format;
+    this.retryPolicy = resolveRetryPolicy(settings.retry);
+  }
+
+  isAvailable(): boolean {
+    return this.configured;
+  }
+
+  async generateImage(args: ImageGenerationArgs, context: GenerationContext = {}): Promise<GenerationResult> {
+    const onProgress = context.onProgress || (() => {});
+    const signal = context.signal;
+
+    if (!this.configured) {
+      throw new Error(`${this.name} is not configured: set an API key or base URL`);
+    }
+    const model = args.model || this.defaultModel;
+
+    let retries = 0;
+    try {
+      const size = this.resolveSize(args.aspect_ratio);
+      const prompt = args.negative_prompt ? `${args.prompt}. Avoid: ${args.negative_prompt}.` : args.prompt;
+
+      // Reference images become edit inputs. In a session without new references,
+      // the latest generated image is edited so follow-up prompts refine it.
+      const inputs = args.images && args.images.length > 0
+        ? args.images
+        : context.history?.at(-1)?.response_images.slice(0, 1) || [];
+      const references: { base64: string; mimeType: string }[] = [];
+      for (const [index, image] of inputs.entries()) {
+        throwIfCancelled(signal);
+        onProgress('references', `Resolving reference image ${index + 1}/${inputs.length}`, index, inputs.length);
+        references.push(await this.resolveImage(image, signal));
+      }
+
+      const fields: Record<string, string | number> = { model, prompt, n: args.sample_count || 1 };
+      if (size) {
+        fields.size = size;
+      }
+      if (this.responseFormat) {
+        fields.response_format = this.responseFormat;
+      }
+
+      throwIfCancelled(signal);
+      onProgress('provider', `Waiting for ${this.name} response`);
+      const response = await withRetry(this.retryPolicy, async () => {
+        const res = references.length > 0
+          ? await fetch(`${this.baseUrl}/images/edits`, {
+            method: 'POST',
+            headers: this.authHeaders(),
+            body: this.buildEditForm(fields, references),
+            signal,
+          })
+          : await fetch(`${this.baseUrl}/images/generations`, {
+            method: 'POST',
+            headers: { ...this.authHeaders(), 'Content-Type': 'application/json' },
+            body: JSON.stringify(fields),
+            signal,
+          });
+        if (!res.ok) {
+          throw await providerErrorFromResponse(this.name, res);
+        }
+        return res;
+      }, {
+        signal,
+        onRetry: (error, attempt, delayMs) => {
+          retries = attempt;
+          const reason = error instanceof ProviderHttpError ? `returned ${error.status}` : 'request failed';
+          onProgress('provider', `${this.name} ${reason}, retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt + 1}/${this.retryPolicy.max_attempts})`);
+        },
+      });
+
+      const data = await response.json() as any;
+      const entries: any[] = Array.isArray(data.data) ? data.data : [];
+      const images: GeneratedImage[] = [];
+      for (const [index, entry] of entries.entries()) {
+        onProgress('decode', `Decoding image ${index + 1}/${entries.length}`, index, entries.length);
+        if (entry.b64_json) {
+          const format = data.output_format || detectImageFormat(entry.b64_json);
+          images.push({ type: 'base64', data: `data:image/${format};base64,${entry.b64_json}`, format });
+        } else if (entry.url) {
+          images.push({ type: 'url', url: entry.url });
+        }
+      }
+
+      return {
+        success: true,
+        provider: this.name,
+        model,
+        prompt: args.prompt,
+        enhanced_prompt: entries.find(e => e.revised_prompt)?.revised_prompt,
+        images,
+        message: images.length > 0 ? 'Image generated successfully' : 'No images returned',
+        retries,
+        usage: data.usage ? {
+          input_tokens: data.usage.input_tokens,
+          output_tokens: data.usage.output_tokens,
+          tokens: data.usage.total_tokens
+        } : undefined
+      };
+    } catch (error: any) {
+      if (signal?.aborted) {
+        return {
+          success: false,
+          cancelled: true,
+          provider: this.name,
+          model,
+          prompt: args.prompt,
+          error: 'Generation cancelled'
+        };
+      }
+      return {
+        success: false,
+        provider: this.name,
+        model,
+        prompt: args.prompt,
+        error: error.message,
+        status: error instanceof ProviderHttpError ? error.status : undefined,
+        retries,
+        retryable: isRetryableError(error)
+      };
+    }
+  }
+
+  async listModels(signal?: AbortSignal, options: ListModelsOptions = {}): Promise<ModelInfo[]> {
+    const policy = options.retry === false ? SINGLE_ATTEMPT_POLICY : this.retryPolicy;
+    const data = await withRetry(policy, async () => {
+      const res = await fetch(`${this.baseUrl}/models`, { headers: this.authHeaders(), signal });
+      if (!res.ok) {
+        throw await providerErrorFromResponse(this.name, res);
+      }
+      return await res.json() as any;
+    }, { signal });
+
+    const ids: string[] = (data.data || []).map((entry: any) => entry.id).filter(Boolean);
+    // The models endpoint does not report modalities; fall back to the full list
+    // for backends whose image models don't follow OpenAI naming
+    const imageIds = ids.filter(id => /image|dall-e/i.test(id));
+    return (imageIds.length > 0 ? imageIds : ids).map(id => ({ id, default: id === this.defaultModel }));
+  }
+
+  getModelInfo(): string {
+    return `OpenAI-compatible Images API
+• Endpoint: ${this.baseUrl}
+• Text-to-image via /images/generations, reference images via /images/edits
+• Multiple images per request (sample_count)
+• Aspect ratio mapped to the size parameter
+• Default model: ${this.defaultModel}`;
+  }
+
+  private authHeaders(): Record<string, string> {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  /**
+   * Map aspect_ratio onto a WIDTHxHEIGHT size, snapping to the configured sizes if any
+   */
+  private resolveSize(aspectRatio?: string): string | undefined {
+    const config = parseAspectRatio(aspectRatio);
+    if (!config) {
+      return undefined;
+    }
+    if (!this.sizes || this.sizes.length === 0) {
+      return `${config.width}x${config.height}`;
+    }
+
+    const target = Math.log(config.width / config.height);
+    let best = this.sizes[0];
+    let bestDistance = Infinity;
+    for (const size of this.sizes) {
+      const [width, height] = size.split('x').map(Number);
+      const distance = Math.abs(Math.log(width / height) - target);
+      if (distance < bestDistance) {
+        best = size;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  private buildEditForm(fields: Record<string, string | number>, references: { base64: string; mimeType: string }[]): FormData {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(fields)) {
+      form.append(key, String(value));
+    }
+    // A single image goes in `image`; backends that take several expect `image[]`
+    const field = references.length > 1 ? 'image[]' : 'image';
+    for (const [index, reference] of references.entries()) {
+      const extension = reference.mimeType.split('/')[1] || 'png';
+      form.append(field, new Blob([Buffer.from(reference.base64, 'base64')], { type: reference.mimeType }), `reference-${index + 1}.${extension}`);
+    }
+    return form;
+  }
+
+  private async resolveImage(image: ImageInput, signal?: AbortSignal): Promise<{ base64: string; mimeType: string }> {
+    if (image.base64) {
+      const mimeMatch = image.base64.match(/^data:(.*?);base64,/);
+      return {
+        base64: image.base64.replace(/^data:.*?;base64,/, ''),
+        mimeType: image.mimeType || (mimeMatch ? mimeMatch[1] : 'image/png')
+      };
+    } else if (image.path) {
+      const imageData = await readImageFileAsBase64(image.path, signal);
+      return { base64: imageData.base64, mimeType: image.mimeType || imageData.mimeType };
+    } else if (image.url) {
+      return await fetchImageAsBase64(image.url, signal);
+    }
+    throw new Error('Reference image requires a path, url or base64 data');
+  }
+}
+
+/**
+ * Identify PNG, JPEG and WebP payloads from their base64-encoded magic bytes
+ */
+function detectImageFormat(base64: string): string {
+  if (base64.startsWith('/9j/')) {
+    return 'jpeg';
+  }
+  if (base64.startsWith('UklGR')) {
+    return 'webp';
+  }
+  return 'png';
+}
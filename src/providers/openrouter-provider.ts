@@ -1,28 +1,78 @@
-import fetch from 'node-fetch';
 import { Jimp } from 'jimp';
-import { ImageProvider, ImageGenerationArgs, GenerationResult, ImageInput } from '../types.js';
+import { ImageProvider, ImageGenerationArgs, GenerationResult, GenerationContext, ImageInput, ConversationTurn, ModelInfo, ListModelsOptions, ProviderProbe, ResponsePart } from '../types.js';
+import { ProviderSettings } from '../config.js';
 import { parseAspectRatio, generateBlankImageSync, getAspectRatioPrompt } from '../utils/aspect-ratio.js';
-import { readImageFileAsBase64 } from '../utils.js';
+import { ProviderHttpError, isRetryableError, providerErrorFromResponse } from '../utils/provider-errors.js';
+import { RetryPolicy, resolveRetryPolicy, withRetry, sleep, SINGLE_ATTEMPT_POLICY } from '../utils/retry.js';
+import { parseOpenRouterSafetyBlock, parseOpenRouterModerationError, describeSafetyBlock } from '../utils/safety.js';
+import { fanOutSeed, mergeGenerationResults } from '../utils/fan-out.js';
+import { fetch } from '../utils/http.js';
+import { readImageFileAsBase64, throwIfCancelled } from '../utils.js';
 
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
-const GEMINI_MODEL = 'google/gemini-2.5-flash-image-preview';
+const OPENROUTER_API_BASE = 'https://openrouter.ai/api/v1';
+export const DEFAULT_OPENROUTER_MODEL = 'google/gemini-2.5-flash-image-preview';
+
+// Generation stats are recorded shortly after a completion; wait this long between lookups,
+// and give up on the whole lookup after STATS_TIMEOUT_MS so it never holds up a result for long
+const STATS_ATTEMPTS = 3;
+const STATS_DELAY_MS = 500;
+const STATS_TIMEOUT_MS = 3000;
+
+/**
+ * OpenRouter provider routing, sent as `provider`. Other documented fields
+ * (only, ignore, sort, max_price, ...) are passed through as given.
+ */
+export interface OpenRouterProviderPreferences {
+  // Upstream providers to try first, e.g. ["google-vertex", "google-ai-studio"]
+  order?: string[];
+  // Whether other providers may serve the request when those in `order` fail (default true)
+  allow_fallbacks?: boolean;
+  // "deny" restricts routing to providers that do not store or train on prompts
+  data_collection?: 'allow' | 'deny';
+  [key: string]: any;
+}
+
+export interface OpenRouterSettings extends ProviderSettings {
+  provider_preferences?: OpenRouterProviderPreferences;
+  // Models OpenRouter falls back to, in order, when the requested one fails
+  fallback_models?: string[];
+  // Look up native token counts and the billed cost from the generation stats
+  // after each call (default true)
+  cost_lookup?: boolean;
+}
 
 export class OpenRouterProvider implements ImageProvider {
   name = 'OpenRouter API';
+  defaultModel: string;
   private apiKey: string | undefined;
+  private baseUrl: string;
+  private retryPolicy: RetryPolicy;
+  private providerPreferences?: OpenRouterProviderPreferences;
+  private fallbackModels: string[];
+  private costLookup: boolean;
 
-  constructor() {
+  constructor(settings: OpenRouterSettings = {}) {
     this.apiKey = process.env.OPENROUTER_API_KEY;
+    this.baseUrl = (settings.base_url || process.env.OPENROUTER_BASE_URL || OPENROUTER_API_BASE).replace(/\/+$/, '');
+    this.retryPolicy = resolveRetryPolicy(settings.retry);
+    this.defaultModel = settings.model || DEFAULT_OPENROUTER_MODEL;
+    this.providerPreferences = settings.provider_preferences;
+    this.fallbackModels = (settings.fallback_models || []).map(m => this.resolveModel(m));
+    this.costLookup = settings.cost_lookup ?? true;
   }
 
   isAvailable(): boolean {
     return !!this.apiKey;
   }
 
-  async generateImage(args: ImageGenerationArgs): Promise<GenerationResult> {
+  async generateImage(args: ImageGenerationArgs, context: GenerationContext = {}): Promise<GenerationResult> {
+    const onProgress = context.onProgress || (() => {});
+    const signal = context.signal;
+
     if (!this.apiKey) {
       throw new Error('OPENROUTER_API_KEY environment variable is not set');
     }
+    const model = this.resolveModel(args.model);
 
     try {
       // Parse aspect ratio if provided
@@ -38,19 +88,10 @@ export class OpenRouterProvider implements ImageProvider {
 
       // Add reference images if provided
       if (args.images && args.images.length > 0) {
-        for (const image of args.images) {
-          let imageUrl: string | undefined;
-
-          if (image.base64) {
-            imageUrl = `data:${image.mimeType || 'image/png'};base64,${image.base64.replace(/^data:.*?;base64,/, '')}`;
-          } else if (image.path) {
-            // Read local file and convert to base64 data URL
-            const imageData = await readImageFileAsBase64(image.path);
-            imageUrl = `data:${image.mimeType || imageData.mimeType};base64,${imageData.base64}`;
-          } else if (image.url) {
-            imageUrl = image.url;
-          }
-
+        for (const [index, image] of args.images.entries()) {
+          throwIfCancelled(signal);
+          onProgress('references', `Resolving reference image ${index + 1}/${args.images.length}`, index, args.images.length);
+          const imageUrl = await this.toImageUrl(image, signal);
           if (imageUrl) {
             content.push({
               type: 'image_url',
@@ -66,6 +107,8 @@ export class OpenRouterProvider implements ImageProvider {
       // According to Zenn article: original image + blank image + prompt
       // The blank image (last image) determines the output aspect ratio
       if (aspectRatioConfig) {
+        throwIfCancelled(signal);
+        onProgress('canvas', `Rendering ${aspectRatioConfig.width}x${aspectRatioConfig.height} aspect-ratio canvas`);
         const blankImage = await this.generateLargeBlankImage(aspectRatioConfig);
         content.push({
           type: 'image_url',
@@ -75,39 +118,114 @@ export class OpenRouterProvider implements ImageProvider {
         });
       }
 
-      const response = await fetch(OPENROUTER_API_URL, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': 'https://github.com/nanobanana-mcp',
-          'X-Title': 'Nano Banana MCP Server',
-        },
-        body: JSON.stringify({
-          model: GEMINI_MODEL,
-          messages: [
-            {
-              role: 'user',
-              content: content
-            }
-          ],
-        }),
-      });
+      // Replay earlier turns when continuing a session
+      const history = await this.buildHistoryMessages(context.history, signal);
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`OpenRouter API error: ${response.status} - ${errorText}`);
+      // With fallbacks, `models` lists every model to try and `model` is the first of them
+      const fallbacks = this.fallbackModels.filter(m => m !== model);
+      const body = {
+        model,
+        models: fallbacks.length > 0 ? [model, ...fallbacks] : undefined,
+        provider: this.providerPreferences,
+        modalities: this.modalities(args),
+        messages: [
+          ...history,
+          {
+            role: 'user',
+            content: content
+          }
+        ],
+        temperature: args.temperature,
+        top_p: args.top_p,
+        top_k: args.top_k,
+        seed: args.seed,
+        // Usage accounting: the response's usage carries the cost
+        usage: { include: true },
+      };
+
+      throwIfCancelled(signal);
+      const count = args.sample_count && args.sample_count > 1 ? args.sample_count : 1;
+      if (count === 1) {
+        return await this.send(model, args, body, context);
       }
 
+      // OpenRouter has no candidate count for image output, so samples are fanned out
+      onProgress('provider', `Sending ${count} parallel OpenRouter requests`);
+      const results = await Promise.all(Array.from({ length: count }, (_, index) =>
+        this.send(model, args, { ...body, seed: fanOutSeed(args.seed, index) }, context)));
+      return mergeGenerationResults(results);
+    } catch (error: any) {
+      if (signal?.aborted) {
+        return {
+          success: false,
+          cancelled: true,
+          provider: 'OpenRouter',
+          model,
+          prompt: args.prompt,
+          error: 'Generation cancelled'
+        };
+      }
+      return {
+        success: false,
+        provider: 'OpenRouter',
+        model,
+        prompt: args.prompt,
+        error: error.message,
+        retryable: isRetryableError(error)
+      };
+    }
+  }
+
+  /**
+   * Send one chat completion request (retrying transient failures) and turn
+   * the response into a result. Failures are returned, not thrown.
+   */
+  private async send(model: string, args: ImageGenerationArgs, body: any, context: GenerationContext): Promise<GenerationResult> {
+    const onProgress = context.onProgress || (() => {});
+    const signal = context.signal;
+
+    let retries = 0;
+    try {
+      onProgress('provider', 'Waiting for OpenRouter API response');
+      const response = await withRetry(this.retryPolicy, async () => {
+        const res = await fetch(`${this.baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`,
+            'Content-Type': 'application/json',
+            'HTTP-Referer': 'https://github.com/nanobanana-mcp',
+            'X-Title': 'Nano Banana MCP Server',
+          },
+          signal,
+          body: JSON.stringify(body),
+        });
+        if (!res.ok) {
+          throw await providerErrorFromResponse('OpenRouter', res);
+        }
+        return res;
+      }, {
+        signal,
+        onRetry: (error, attempt, delayMs) => {
+          retries = attempt;
+          const reason = error instanceof ProviderHttpError ? `returned ${error.status}` : 'request failed';
+          onProgress('provider', `OpenRouter API ${reason}, retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt + 1}/${this.retryPolicy.max_attempts})`);
+        },
+      });
+
       const data = await response.json() as any;
-      const message = data.choices[0].message;
+      const choice = data.choices?.[0];
+      if (!choice) {
+        throw new Error(`OpenRouter returned no choices${data.error?.message ? `: ${data.error.message}` : ''}`);
+      }
+      const message = choice.message || {};
       
       // Extract images from response
       const images = [];
       
       // Check for images in message.images array (OpenRouter format)
       if (message.images && message.images.length > 0) {
-        for (const img of message.images) {
+        for (const [index, img] of message.images.entries()) {
+          onProgress('decode', `Decoding image ${index + 1}/${message.images.length}`, index, message.images.length);
           if (img.image_url && img.image_url.url) {
             const url = img.image_url.url;
             if (url.startsWith('data:')) {
@@ -126,16 +244,24 @@ export class OpenRouterProvider implements ImageProvider {
         }
       }
       
+      // Content is usually text, but may be a list of parts
+      let responseText: string = typeof message.content === 'string'
+        ? message.content
+        : Array.isArray(message.content)
+          ? message.content.filter((part: any) => part?.type === 'text').map((part: any) => part.text).join('\n\n')
+          : '';
+
       // Fallback: check if content contains image data
-      if (images.length === 0 && message.content) {
-        if (message.content.startsWith('data:image')) {
+      if (images.length === 0 && responseText) {
+        if (responseText.startsWith('data:image')) {
           images.push({
             type: 'base64' as const,
-            data: message.content,
-            format: message.content.substring(11, message.content.indexOf(';')) || 'png'
+            data: responseText,
+            format: responseText.substring(11, responseText.indexOf(';')) || 'png'
           });
-        } else if (message.content.includes('http')) {
-          const urlMatch = message.content.match(/https?:\/\/[^\s]+/);
+          responseText = '';
+        } else if (responseText.includes('http')) {
+          const urlMatch = responseText.match(/https?:\/\/[^\s]+/);
           if (urlMatch) {
             images.push({
               type: 'url' as const,
@@ -145,30 +271,178 @@ export class OpenRouterProvider implements ImageProvider {
         }
       }
 
+      // OpenRouter returns the text separately from the images, so it comes first
+      const text = responseText.trim() || undefined;
+      const parts: ResponsePart[] | undefined = text
+        ? [{ type: 'text', text }, ...images.map((_, index) => ({ type: 'image' as const, image: index + 1 }))]
+        : undefined;
+
+      const usage = await this.usageWithCost(data, signal);
+      // A fallback model may have served the request
+      const servedModel = data.model || model;
+
+      // Upstream safety filters surface as finish_reason "content_filter"
+      const blocked = parseOpenRouterSafetyBlock(choice, images.length);
+      if (blocked) {
+        return {
+          success: false,
+          provider: 'OpenRouter',
+          model: servedModel,
+          prompt: args.prompt,
+          error: describeSafetyBlock('OpenRouter', blocked),
+          blocked,
+          text,
+          retries,
+          retryable: false,
+          usage
+        };
+      }
+
       return {
         success: true,
         provider: 'OpenRouter',
-        model: GEMINI_MODEL,
+        model: servedModel,
         prompt: args.prompt,
         images: images,
-        message: message.content || 'Image generated successfully',
-        usage: data.usage ? {
-          input_tokens: data.usage.prompt_tokens,
-          output_tokens: data.usage.completion_tokens,
-          tokens: data.usage.total_tokens
-        } : undefined
+        text,
+        parts,
+        message: images.length > 0 ? 'Image generated successfully' : 'No images returned',
+        retries,
+        usage
       };
     } catch (error: any) {
+      if (signal?.aborted) {
+        return {
+          success: false,
+          cancelled: true,
+          provider: 'OpenRouter',
+          model,
+          prompt: args.prompt,
+          error: 'Generation cancelled'
+        };
+      }
+      const blocked = parseOpenRouterModerationError(error);
+      if (blocked) {
+        return {
+          success: false,
+          provider: 'OpenRouter',
+          model,
+          prompt: args.prompt,
+          error: describeSafetyBlock('OpenRouter', blocked),
+          blocked,
+          status: error.status,
+          retries,
+          retryable: false
+        };
+      }
       return {
         success: false,
         provider: 'OpenRouter',
-        model: GEMINI_MODEL,
+        model,
         prompt: args.prompt,
-        error: error.message
+        error: error.message,
+        status: error instanceof ProviderHttpError ? error.status : undefined,
+        retries,
+        retryable: isRetryableError(error)
       };
     }
   }
 
+  /**
+   * Token counts and cost from the completion, plus native token counts from
+   * OpenRouter's generation stats when cost_lookup is on. The stats' total_cost
+   * takes precedence over the inline cost; a failed or timed-out lookup only
+   * costs the extras.
+   */
+  private async usageWithCost(data: any, signal?: AbortSignal): Promise<GenerationResult['usage']> {
+    const usage: GenerationResult['usage'] = data.usage ? {
+      input_tokens: data.usage.prompt_tokens,
+      output_tokens: data.usage.completion_tokens,
+      tokens: data.usage.total_tokens,
+      // Present when usage accounting is enabled on the account
+      cost_usd: typeof data.usage.cost === 'number' ? data.usage.cost : undefined,
+    } : undefined;
+    if (!this.costLookup || !data.id) {
+      return usage;
+    }
+
+    const timeout = AbortSignal.timeout(STATS_TIMEOUT_MS);
+    try {
+      const stats = await this.generationStats(data.id, signal ? AbortSignal.any([signal, timeout]) : timeout);
+      return {
+        ...usage,
+        native_input_tokens: stats.native_tokens_prompt ?? undefined,
+        native_output_tokens: stats.native_tokens_completion ?? undefined,
+        cost_usd: typeof stats.total_cost === 'number' ? stats.total_cost : usage?.cost_usd,
+      };
+    } catch (error: any) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      const reason = timeout.aborted ? `no answer within ${STATS_TIMEOUT_MS / 1000}s` : error.message;
+      console.error(`OpenRouter generation stats for ${data.id} unavailable: ${reason}`);
+      return usage;
+    }
+  }
+
+  private async generationStats(id: string, signal?: AbortSignal): Promise<any> {
+    for (let attempt = 1; ; attempt++) {
+      const res = await fetch(`${this.baseUrl}/generation?id=${encodeURIComponent(id)}`, {
+        headers: { 'Authorization': `Bearer ${this.apiKey}` },
+        signal,
+      });
+      if (res.ok) {
+        return ((await res.json()) as any).data || {};
+      }
+      if (res.status !== 404 || attempt >= STATS_ATTEMPTS) {
+        throw await providerErrorFromResponse('OpenRouter', res);
+      }
+      await sleep(STATS_DELAY_MS, signal);
+    }
+  }
+
+  private async toImageUrl(image: ImageInput, signal?: AbortSignal): Promise<string | undefined> {
+    if (image.base64) {
+      return `data:${image.mimeType || 'image/png'};base64,${image.base64.replace(/^data:.*?;base64,/, '')}`;
+    } else if (image.path) {
+      // Read local file and convert to base64 data URL
+      const imageData = await readImageFileAsBase64(image.path, signal);
+      return `data:${image.mimeType || imageData.mimeType};base64,${imageData.base64}`;
+    } else if (image.url) {
+      return image.url;
+    }
+    return undefined;
+  }
+
+  /**
+   * Replay earlier session turns as user/assistant messages. Assistant images
+   * use the same `images` field OpenRouter returns them in.
+   */
+  private async buildHistoryMessages(history: ConversationTurn[] = [], signal?: AbortSignal): Promise<any[]> {
+    const messages: any[] = [];
+    for (const turn of history) {
+      const userContent: any[] = [{ type: 'text', text: turn.prompt }];
+      for (const image of turn.images || []) {
+        const url = await this.toImageUrl(image, signal);
+        if (url) {
+          userContent.push({ type: 'image_url', image_url: { url } });
+        }
+      }
+      const assistantImages: any[] = [];
+      for (const image of turn.response_images) {
+        const url = await this.toImageUrl(image, signal);
+        if (url) {
+          assistantImages.push({ type: 'image_url', image_url: { url } });
+        }
+      }
+      messages.push(
+        { role: 'user', content: userContent },
+        { role: 'assistant', content: '', images: assistantImages }
+      );
+    }
+    return messages;
+  }
+
   private buildPrompt(args: ImageGenerationArgs, aspectRatioConfig?: any): string {
     let prompt = args.prompt;
 
@@ -188,11 +462,6 @@ export class OpenRouterProvider implements ImageProvider {
       prompt += ` Avoid: ${args.negative_prompt}.`;
     }
 
-    // Add sample count if specified
-    if (args.sample_count && args.sample_count > 1) {
-      prompt = `Generate ${args.sample_count} variations of: ${prompt}`;
-    }
-
     return prompt;
   }
 
@@ -239,12 +508,92 @@ export class OpenRouterProvider implements ImageProvider {
     }
   }
 
+  /**
+   * OpenRouter's modalities field, or undefined to keep the model defaults
+   */
+  private modalities(args: ImageGenerationArgs): string[] | undefined {
+    switch (args.response_modalities) {
+      case undefined:
+        return undefined;
+      case 'image':
+        return ['image'];
+      case 'text+image':
+        return ['image', 'text'];
+      default:
+        throw new Error(`Unknown response_modalities "${args.response_modalities}". Use "image" or "text+image"`);
+    }
+  }
+
+  /**
+   * OpenRouter IDs are vendor-prefixed; bare Gemini IDs get the "google/" prefix
+   */
+  private resolveModel(requested?: string): string {
+    const model = requested || this.defaultModel;
+    return model.includes('/') ? model : `google/${model}`;
+  }
+
+  async listModels(signal?: AbortSignal, options: ListModelsOptions = {}): Promise<ModelInfo[]> {
+    const policy = options.retry === false ? SINGLE_ATTEMPT_POLICY : this.retryPolicy;
+    const data = await withRetry(policy, async () => {
+      const res = await fetch(`${this.baseUrl}/models`, {
+        headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+        signal,
+      });
+      if (!res.ok) {
+        throw await providerErrorFromResponse('OpenRouter', res);
+      }
+      return await res.json() as any;
+    }, { signal });
+
+    return (data.data || [])
+      .filter((entry: any) => (entry.architecture?.output_modalities || []).includes('image'))
+      .map((entry: any) => ({
+        id: entry.id,
+        name: entry.name,
+        description: entry.description,
+        default: entry.id === this.defaultModel,
+      }));
+  }
+
+  /**
+   * The models endpoint is public, so the key is checked against /key, which
+   * also reports the remaining credit
+   */
+  async probe(signal?: AbortSignal): Promise<ProviderProbe> {
+    if (!this.apiKey) {
+      throw new Error('OPENROUTER_API_KEY environment variable is not set');
+    }
+    const res = await fetch(`${this.baseUrl}/key`, {
+      headers: { 'Authorization': `Bearer ${this.apiKey}` },
+      signal,
+    });
+    if (!res.ok) {
+      throw await providerErrorFromResponse('OpenRouter', res);
+    }
+    const key = ((await res.json() as any).data || {});
+    const models = await this.listModels(signal, { retry: false });
+
+    return {
+      models: models.map(m => m.id),
+      quota: {
+        limit: key.limit ?? null,
+        usage: key.usage,
+        limit_remaining: key.limit_remaining ?? null,
+        is_free_tier: key.is_free_tier,
+      },
+      quota_exhausted: typeof key.limit_remaining === 'number' && key.limit_remaining <= 0,
+    };
+  }
+
   getModelInfo(): string {
     return `Gemini 2.5 Flash Image Preview via OpenRouter
 • Access through OpenRouter API
 • Same Nano Banana capabilities
 • Unified billing through OpenRouter
 • Support for multiple reference images
-• Advanced scenario-based generation`;
+• Advanced scenario-based generation
+• sample_count fanned out as parallel requests
+• Provider routing preferences, fallback models and per-request cost
+• Default model: ${this.defaultModel}`;
   }
 }
\ No newline at end of file
@@ -0,0 +1,213 @@
+import { Jimp, loadFont, measureTextHeight } from 'jimp';
+import { SANS_16_BLACK, SANS_16_WHITE, SANS_32_BLACK, SANS_32_WHITE } from 'jimp/fonts';
+import { createHash } from 'crypto';
+import { ImageProvider, ImageGenerationArgs, GenerationResult, GenerationContext, GeneratedImage, ImageInput, ModelInfo } from '../types.js';
+import { ProviderSettings } from '../config.js';
+import { parseAspectRatio } from '../utils/aspect-ratio.js';
+import { loadImageInput } from '../utils/inpainting.js';
+import { throwIfCancelled } from '../utils.js';
+
+type Canvas = InstanceType<typeof Jimp>;
+type JimpImage = Awaited<ReturnType<typeof loadImageInput>>;
+type Font = Awaited<ReturnType<typeof loadFont>>;
+
+export interface PlaceholderSettings extends ProviderSettings {
+  // Off by default so a misconfigured server never answers with placeholders;
+  // enable here or with NANOBANANA_PLACEHOLDER=1
+  enabled?: boolean;
+}
+
+const DEFAULT_SIZE = 1024;
+const MARGIN = 32;
+const MAX_THUMBNAILS = 4;
+
+// Bitmap fonts are loaded once and shared by every render
+let fontsPromise: Promise<{ dark: [Font, Font]; light: [Font, Font] }> | undefined;
+
+function loadFonts() {
+  if (!fontsPromise) {
+    fontsPromise = Promise.all([SANS_32_BLACK, SANS_16_BLACK, SANS_32_WHITE, SANS_16_WHITE].map(font => loadFont(font)))
+      .then(([title32, body16, title32White, body16White]) => ({
+        dark: [title32, body16] as [Font, Font],
+        light: [title32White, body16White] as [Font, Font],
+      }));
+  }
+  return fontsPromise;
+}
+
+/**
+ * Renders deterministic placeholder images locally with Jimp: no network, no
+ * API key, no cost. Each image has the requested aspect-ratio dimensions and
+ * shows the prompt, scenario, a colour derived from a hash of the request and
+ * thumbnails of the reference images, so flows can be wired up and tested offline.
+ */
+export class PlaceholderProvider implements ImageProvider {
+  name = 'Offline Placeholder';
+  defaultModel = 'placeholder';
+  private enabled: boolean;
+
+  constructor(settings: PlaceholderSettings = {}) {
+    this.enabled = settings.enabled ?? ['1', 'true'].includes((process.env.NANOBANANA_PLACEHOLDER || '').toLowerCase());
+  }
+
+  isAvailable(): boolean {
+    return this.enabled;
+  }
+
+  async generateImage(args: ImageGenerationArgs, context: GenerationContext = {}): Promise<GenerationResult> {
+    const onProgress = context.onProgress || (() => {});
+    const signal = context.signal;
+    const model = args.model || this.defaultModel;
+
+    try {
+      const aspectRatioConfig = parseAspectRatio(args.aspect_ratio);
+      const width = aspectRatioConfig?.width || DEFAULT_SIZE;
+      const height = aspectRatioConfig?.height || DEFAULT_SIZE;
+
+      // In a session without new references, show the previous result instead
+      const inputs: ImageInput[] = args.images && args.images.length > 0
+        ? args.images
+        : context.history?.at(-1)?.response_images || [];
+      const thumbnails: JimpImage[] = [];
+      for (const [index, image] of inputs.slice(0, MAX_THUMBNAILS).entries()) {
+        throwIfCancelled(signal);
+        onProgress('references', `Loading reference image ${index + 1}/${inputs.length}`, index, inputs.length);
+        try {
+          thumbnails.push(await loadImageInput(image, signal));
+        } catch (error: any) {
+          if (signal?.aborted) {
+            throw error;
+          }
+          console.error(`Placeholder: skipping unreadable reference image ${index + 1}: ${error.message}`);
+        }
+      }
+
+      const count = args.sample_count && args.sample_count > 1 ? args.sample_count : 1;
+      const images: GeneratedImage[] = [];
+      for (let variation = 1; variation <= count; variation++) {
+        throwIfCancelled(signal);
+        onProgress('decode', `Rendering placeholder ${variation}/${count}`, variation - 1, count);
+        const image = await this.render(args, width, height, thumbnails, variation, count);
+        const buffer = await image.getBuffer('image/png');
+        images.push({
+          type: 'base64',
+          data: `data:image/png;base64,${buffer.toString('base64')}`,
+          format: 'png'
+        });
+      }
+
+      return {
+        success: true,
+        provider: this.name,
+        model,
+        prompt: args.prompt,
+        images,
+        message: 'Placeholder image rendered locally (no API call)',
+        retries: 0
+      };
+    } catch (error: any) {
+      if (signal?.aborted) {
+        return {
+          success: false,
+          cancelled: true,
+          provider: this.name,
+          model,
+          prompt: args.prompt,
+          error: 'Generation cancelled'
+        };
+      }
+      return {
+        success: false,
+        provider: this.name,
+        model,
+        prompt: args.prompt,
+        error: error.message,
+        retryable: false
+      };
+    }
+  }
+
+  async listModels(): Promise<ModelInfo[]> {
+    return [{ id: this.defaultModel, name: 'Offline placeholder renderer', default: true }];
+  }
+
+  getModelInfo(): string {
+    return `Offline placeholder renderer (no API key needed)
+• Deterministic images rendered locally with Jimp
+• Requested aspect ratio, prompt text, scenario and reference thumbnails
+• Enabled with NANOBANANA_PLACEHOLDER=1; "auto" uses it only when no other provider is configured`;
+  }
+
+  private async render(
+    args: ImageGenerationArgs,
+    width: number,
+    height: number,
+    thumbnails: JimpImage[],
+    variation: number,
+    count: number
+  ): Promise<Canvas> {
+    const digest = createHash('sha256')
+      .update(JSON.stringify([args.prompt, args.scenario, args.aspect_ratio, args.negative_prompt, args.model, args.seed, variation]))
+      .digest();
+    const [r, g, b] = hslToRgb(digest[0] / 255 * 360, 0.45, 0.55);
+    const hex = [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+    const image = new Jimp({ width, height, color: rgbaToInt(r, g, b, 255) });
+
+    // A darker band behind the title keeps it readable on any background
+    image.composite(new Jimp({ width, height: 64, color: 0x00000055 }), 0, 0);
+
+    const fonts = await loadFonts();
+    const [titleFont, bodyFont] = 0.299 * r + 0.587 * g + 0.114 * b > 150 ? fonts.dark : fonts.light;
+    const textWidth = width - MARGIN * 2;
+    image.print({ font: fonts.light[0], x: MARGIN, y: 16, text: 'PLACEHOLDER', maxWidth: textWidth });
+
+    let y = 64 + MARGIN / 2;
+    const lines = [
+      args.prompt,
+      args.scenario ? `Scenario: ${args.scenario}` : '',
+      args.negative_prompt ? `Avoid: ${args.negative_prompt}` : '',
+      `${width}x${height}${args.aspect_ratio ? ` (${args.aspect_ratio})` : ''}  #${hex}${count > 1 ? `  variation ${variation}/${count}` : ''}`,
+    ].filter(Boolean).map(toPrintable);
+
+    const thumbSize = thumbnails.length > 0 ? Math.min(160, Math.floor((textWidth - (thumbnails.length - 1) * 8) / thumbnails.length)) : 0;
+    const textBottom = height - MARGIN - (thumbSize > 0 ? thumbSize + 8 : 0);
+    for (const [index, line] of lines.entries()) {
+      const font = index === 0 ? titleFont : bodyFont;
+      const maxHeight = textBottom - y;
+      if (maxHeight <= 0) {
+        break;
+      }
+      image.print({ font, x: MARGIN, y, text: line, maxWidth: textWidth, maxHeight });
+      y += Math.min(measureTextHeight(font, line, textWidth), maxHeight) + 12;
+    }
+
+    // Reference thumbnails along the bottom edge
+    let x = MARGIN;
+    for (const thumbnail of thumbnails) {
+      const copy = thumbnail.clone();
+      copy.scaleToFit({ w: thumbSize, h: thumbSize });
+      image.composite(new Jimp({ width: copy.width + 4, height: copy.height + 4, color: 0xFFFFFFFF }), x - 2, height - MARGIN - copy.height - 2);
+      image.composite(copy, x, height - MARGIN - copy.height);
+      x += thumbSize + 8;
+    }
+
+    return image;
+  }
+}
+
+function toPrintable(text: string): string {
+  // The bundled bitmap fonts only cover ASCII
+  return text.replace(/\s+/g, ' ').replace(/[^\x20-\x7E]/g, '?');
+}
+
+function rgbaToInt(r: number, g: number, b: number, a: number): number {
+  return ((r << 24) | (g << 16) | (b << 8) | a) >>> 0;
+}
+
+function hslToRgb(h: number, s: number, l: number): [number, number, number] {
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+  const m = l - c / 2;
+  const [r, g, b] = h < 60 ? [c, x, 0] : h < 120 ? [x, c, 0] : h < 180 ? [0, c, x] : h < 240 ? [0, x, c] : h < 300 ? [x, 0, c] : [c, 0, x];
+  return [r, g, b].map(v => Math.round((v + m) * 255)) as [number, number, number];
+}
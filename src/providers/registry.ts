@@ -0,0 +1,191 @@
+// Provider registry: built-in providers plus ESM provider modules named in the config file
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+import { ImageProvider } from '../types.js';
+import { NanoBananaConfig, ProviderModuleConfig, ProviderSettings } from '../config.js';
+import { GeminiProvider } from './gemini-provider.js';
+import { OpenRouterProvider } from './openrouter-provider.js';
+import { VertexProvider } from './vertex-provider.js';
+import { OpenAICompatibleProvider, OpenAICompatibleSettings } from './openai-compatible-provider.js';
+import { PlaceholderProvider } from './placeholder-provider.js';
+
+export interface ProviderRegistration {
+  // Value clients pass as the `provider` argument, e.g. "gemini"
+  id: string;
+  provider: ImageProvider;
+  // Environment variable that enables the provider, shown by list_providers
+  envVar?: string;
+  // Picked by "auto" only when no other provider is available, so it is never a failover target
+  fallbackOnly?: boolean;
+}
+
+type FactoryResult = ProviderRegistration | ProviderRegistration[] | void;
+
+/**
+ * What a provider module exports, as its default export or as `createProviders`.
+ * Called once at startup with the module's options from the config file; it may
+ * return registrations or call registry.register() itself.
+ */
+export type ProviderModuleFactory = (
+  options: Record<string, any>,
+  registry: ProviderRegistry
+) => FactoryResult | Promise<FactoryResult>;
+
+const PROVIDER_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+export class ProviderRegistry {
+  private providers = new Map<string, ProviderRegistration>();
+  private order?: string[];
+
+  register(registration: ProviderRegistration): void {
+    const { id } = registration;
+    if (!PROVIDER_ID_PATTERN.test(id) || id === 'auto') {
+      throw new Error(`Invalid provider ID "${id}": use lowercase letters, digits, "-" and "_" (and not "auto")`);
+    }
+    if (this.providers.has(id)) {
+      throw new Error(`Provider "${id}" is already registered`);
+    }
+    this.providers.set(id, registration);
+  }
+
+  get(id: string): ProviderRegistration | undefined {
+    return this.providers.get(id);
+  }
+
+  /**
+   * Provider IDs in registration order
+   */
+  ids(): string[] {
+    return [...this.providers.keys()];
+  }
+
+  list(): ProviderRegistration[] {
+    return [...this.providers.values()];
+  }
+
+  /**
+   * Set the order "auto" tries providers in. Registered providers left out of
+   * the list are never picked automatically but can still be named explicitly.
+   */
+  setAutoOrder(order: string[]): void {
+    for (const id of order) {
+      if (!this.providers.has(id)) {
+        throw new Error(`auto_order names unknown provider "${id}". Registered providers: ${this.ids().join(', ')}`);
+      }
+    }
+    this.order = [...order];
+  }
+
+  autoOrder(): ProviderRegistration[] {
+    return this.order ? this.order.map(id => this.providers.get(id)!) : this.list();
+  }
+
+  /**
+   * Available providers "auto" may use, in priority order. Fallback-only
+   * providers are included only when nothing else is available.
+   */
+  autoCandidates(): ProviderRegistration[] {
+    const available = this.autoOrder().filter(r => r.provider.isAvailable());
+    const preferred = available.filter(r => !r.fallbackOnly);
+    return preferred.length > 0 ? preferred : available;
+  }
+
+  /**
+   * Resolve a `provider` argument to an available provider, or null if none is configured
+   */
+  select(preference?: string): ImageProvider | null {
+    if (preference && preference !== 'auto') {
+      const registration = this.providers.get(preference);
+      if (!registration) {
+        throw new Error(`Unknown provider "${preference}". Registered providers: ${this.ids().join(', ')}`);
+      }
+      return registration.provider.isAvailable() ? registration.provider : null;
+    }
+    return this.autoCandidates()[0]?.provider ?? null;
+  }
+
+  /**
+   * Error message for when select() finds nothing, naming the variables that would fix it
+   */
+  unavailableMessage(preference?: string): string {
+    const candidates = preference && preference !== 'auto'
+      ? [this.providers.get(preference)].filter((r): r is ProviderRegistration => !!r)
+      : this.autoOrder().filter(r => !r.fallbackOnly);
+    const envVars = candidates.map(r => r.envVar).filter((v): v is string => !!v);
+    if (envVars.length === 0) {
+      return 'No image generation provider is available.';
+    }
+    const hint = envVars.length === 1 ? envVars[0] : `either ${envVars.slice(0, -1).join(', ')} or ${envVars[envVars.length - 1]}`;
+    return `No image generation provider is available. Please set ${hint} environment variable.`;
+  }
+}
+
+export function registerBuiltinProviders(registry: ProviderRegistry, settings: Record<string, ProviderSettings> = {}): void {
+  registry.register({ id: 'gemini', provider: new GeminiProvider(settings.gemini), envVar: 'GEMINI_API_KEY' });
+  registry.register({ id: 'openrouter', provider: new OpenRouterProvider(settings.openrouter), envVar: 'OPENROUTER_API_KEY' });
+  registry.register({ id: 'vertex', provider: new VertexProvider(settings.vertex), envVar: 'GOOGLE_APPLICATION_CREDENTIALS' });
+  registry.register({ id: 'openai', provider: new OpenAICompatibleProvider({ api_key_env: 'OPENAI_API_KEY', ...settings.openai }), envVar: 'OPENAI_API_KEY' });
+
+  // Further OpenAI-compatible backends declared in config, e.g. providers.local-sd = { type: "openai-compatible", base_url: ... }.
+  // They use only their own api_key / api_key_env, never OPENAI_API_KEY, which belongs to api.openai.com
+  for (const [id, providerSettings] of Object.entries(settings) as [string, OpenAICompatibleSettings][]) {
+    if (providerSettings.type === 'openai-compatible' && !registry.get(id)) {
+      registry.register({ id, provider: new OpenAICompatibleProvider({ name: id, ...providerSettings }), envVar: providerSettings.api_key_env });
+    }
+  }
+
+  registry.register({ id: 'placeholder', provider: new PlaceholderProvider(settings.placeholder), envVar: 'NANOBANANA_PLACEHOLDER', fallbackOnly: true });
+}
+
+/**
+ * Import a provider module and register what its factory returns. Relative paths
+ * resolve against baseDir; anything else is imported as a package specifier.
+ */
+export async function loadProviderModule(
+  registry: ProviderRegistry,
+  entry: ProviderModuleConfig,
+  baseDir: string
+): Promise<void> {
+  const { module: specifier, options = {} } = typeof entry === 'string' ? { module: entry } : entry;
+  const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+  const target = isPath ? pathToFileURL(path.resolve(baseDir, specifier)).href : specifier;
+
+  let imported: any;
+  try {
+    imported = await import(target);
+  } catch (error: any) {
+    throw new Error(`Failed to load provider module ${specifier}: ${error.message}`);
+  }
+
+  const factory: ProviderModuleFactory | undefined = typeof imported.default === 'function'
+    ? imported.default
+    : imported.createProviders;
+  if (typeof factory !== 'function') {
+    throw new Error(`Provider module ${specifier} must export a factory function as default or createProviders`);
+  }
+
+  const result = await factory(options, registry);
+  for (const registration of Array.isArray(result) ? result : result ? [result] : []) {
+    registry.register(registration);
+  }
+}
+
+/**
+ * Populate a registry from config: built-ins first, then provider modules in
+ * the order listed, then the auto-selection order
+ */
+export async function configureProviders(
+  registry: ProviderRegistry,
+  config: NanoBananaConfig,
+  baseDir: string
+): Promise<void> {
+  registerBuiltinProviders(registry, config.providers);
+  for (const entry of config.provider_modules || []) {
+    await loadProviderModule(registry, entry, baseDir);
+  }
+  if (config.auto_order) {
+    registry.setAutoOrder(config.auto_order);
+  }
+}
+
+export const providerRegistry = new ProviderRegistry();
@@ -0,0 +1,130 @@
+import * as fs from 'fs';
+import { ModelInfo, ListModelsOptions } from '../types.js';
+import { ProviderSettings } from '../config.js';
+import { providerErrorFromResponse } from '../utils/provider-errors.js';
+import { withRetry, SINGLE_ATTEMPT_POLICY } from '../utils/retry.js';
+import { ServiceAccountTokenSource, parseServiceAccountKey } from '../utils/google-auth.js';
+import { GeminiProvider } from './gemini-provider.js';
+
+const DEFAULT_VERTEX_LOCATION = 'us-central1';
+
+export interface VertexSettings extends ProviderSettings {
+  // Google Cloud project; defaults to the project of the service account
+  project?: string;
+  location?: string;
+  // Path to the service-account JSON key
+  credentials_file?: string;
+  // Older name for base_url
+  endpoint?: string;
+}
+
+/**
+ * Gemini on Vertex AI. Requests are built exactly as for GeminiProvider; only the
+ * project/location-scoped endpoint and OAuth2 service-account auth differ.
+ */
+export class VertexProvider extends GeminiProvider {
+  name = 'Vertex AI';
+  protected apiLabel = 'Vertex AI';
+  protected resultLabel = 'Vertex AI';
+  private tokens?: ServiceAccountTokenSource;
+  private project?: string;
+  private location: string;
+  private endpoint?: string;
+
+  constructor(settings: VertexSettings = {}) {
+    super(settings);
+    // Vertex AI has no Files API; large references stay inline
+    this.fileStore = undefined;
+    this.location = settings.location || process.env.VERTEX_LOCATION || DEFAULT_VERTEX_LOCATION;
+    this.endpoint = settings.base_url || settings.endpoint || process.env.VERTEX_API_ENDPOINT;
+
+    const credentialsFile = settings.credentials_file || process.env.GOOGLE_APPLICATION_CREDENTIALS;
+    let keyProject: string | undefined;
+    if (credentialsFile) {
+      try {
+        const key = parseServiceAccountKey(fs.readFileSync(credentialsFile, 'utf8'));
+        this.tokens = new ServiceAccountTokenSource(key);
+        keyProject = key.project_id;
+      } catch (error: any) {
+        console.error(`Vertex AI disabled: cannot load service account key ${credentialsFile}: ${error.message}`);
+      }
+    }
+    this.project = settings.project || process.env.VERTEX_PROJECT || process.env.GOOGLE_CLOUD_PROJECT || keyProject;
+  }
+
+  isAvailable(): boolean {
+    return !!this.tokens && !!this.project;
+  }
+
+  protected requireCredentials(): void {
+    if (!this.tokens) {
+      throw new Error('GOOGLE_APPLICATION_CREDENTIALS must point to a service account key for Vertex AI');
+    }
+    if (!this.project) {
+      throw new Error('Vertex AI project is not set (VERTEX_PROJECT or project_id in the service account key)');
+    }
+  }
+
+  protected generateContentUrl(model: string): string {
+    return `${this.apiBase()}/v1/projects/${this.project}/locations/${this.location}/publishers/google/models/${model}:generateContent`;
+  }
+
+  protected async authHeaders(): Promise<Record<string, string>> {
+    return { 'Authorization': `Bearer ${await this.tokens!.getToken()}` };
+  }
+
+  protected refreshCredentials(): boolean {
+    // A token can be revoked or rotated before its stated expiry
+    this.tokens?.invalidate();
+    return !!this.tokens;
+  }
+
+  async listModels(signal?: AbortSignal, options: ListModelsOptions = {}): Promise<ModelInfo[]> {
+    this.requireCredentials();
+    const policy = options.retry === false ? SINGLE_ATTEMPT_POLICY : this.retryPolicy;
+
+    const models: ModelInfo[] = [];
+    let pageToken: string | undefined;
+    do {
+      const url = `${this.apiBase()}/v1beta1/publishers/google/models?pageSize=100${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`;
+      const data = await withRetry(policy, async () => {
+        const res = await this.fetchWithAuth(url, {
+          headers: { 'x-goog-user-project': this.project! },
+          signal,
+        });
+        if (!res.ok) {
+          throw await providerErrorFromResponse(this.apiLabel, res);
+        }
+        return await res.json() as any;
+      }, { signal });
+
+      for (const entry of data.publisherModels || []) {
+        const id = String(entry.name || '').replace(/^publishers\/google\/models\//, '');
+        // Same heuristic as the Gemini API: image-output Gemini models carry "image" in their ID
+        if (id.startsWith('gemini') && id.includes('image')) {
+          models.push({ id, default: id === this.defaultModel });
+        }
+      }
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+
+    return models;
+  }
+
+  getModelInfo(): string {
+    return `Gemini image models on Google Cloud Vertex AI
+• Service-account authentication (GOOGLE_APPLICATION_CREDENTIALS)
+• Project: ${this.project || 'not set'}, location: ${this.location}
+• Same reference image, aspect ratio and session support as the Gemini Direct API
+• Default model: ${this.defaultModel}`;
+  }
+
+  private apiBase(): string {
+    if (this.endpoint) {
+      return this.endpoint.replace(/\/+$/, '');
+    }
+    return this.location === 'global'
+      ? 'https://aiplatform.googleapis.com'
+      : `https://${this.location}-aiplatform.googleapis.com`;
+  }
+}
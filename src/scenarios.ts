@@ -0,0 +1,189 @@
+// Generation scenarios, shared by list_scenarios and the MCP prompts capability
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { ImageGenerationArgs, ImageInput, ScenarioType } from './types.js';
+
+export interface ReferenceSlot {
+  name: string;
+  description: string;
+  required: boolean;
+}
+
+export interface ScenarioDefinition {
+  name: ScenarioType;
+  title: string;
+  description: string;
+  example: string;
+  references: ReferenceSlot[];
+}
+
+export interface PromptArgumentDefinition {
+  name: string;
+  description: string;
+  required: boolean;
+}
+
+export const SCENARIOS: ScenarioDefinition[] = [
+  {
+    name: 'text-to-image',
+    title: 'Text to Image',
+    description: 'Generate an image from text description only',
+    example: 'A futuristic city at sunset with flying cars',
+    references: []
+  },
+  {
+    name: 'style-transfer',
+    title: 'Style Transfer',
+    description: 'Apply the artistic style of reference image(s) to new content',
+    example: 'Apply Van Gogh\'s Starry Night style to a photo of a modern city',
+    references: [
+      { name: 'style_reference', description: 'Image whose artistic style should be applied', required: true },
+      { name: 'content_reference', description: 'Image whose content should be restyled', required: false }
+    ]
+  },
+  {
+    name: 'character-design',
+    title: 'Character Design',
+    description: 'Create character sheets with multiple views and poses',
+    example: 'Design a cyberpunk warrior character with front, side, and back views',
+    references: [
+      { name: 'character_reference', description: 'Existing artwork of the character', required: false }
+    ]
+  },
+  {
+    name: 'pose-modification',
+    title: 'Pose Modification',
+    description: 'Change the pose of a subject while maintaining appearance',
+    example: 'Make the person in this photo appear to be jumping',
+    references: [
+      { name: 'subject_image', description: 'Image of the subject to re-pose', required: true },
+      { name: 'pose_reference', description: 'Image showing the target pose', required: false }
+    ]
+  },
+  {
+    name: 'background-expansion',
+    title: 'Background Expansion',
+    description: 'Expand or replace backgrounds while keeping the main subject',
+    example: 'Extend the background to show more of the landscape',
+    references: [
+      { name: 'source_image', description: 'Image whose background should be expanded', required: true }
+    ]
+  },
+  {
+    name: 'multi-reference',
+    title: 'Multi-Reference Composition',
+    description: 'Combine elements from multiple reference images',
+    example: 'Combine the clothing from image 1 with the pose from image 2',
+    references: [
+      { name: 'reference_1', description: 'First reference image', required: true },
+      { name: 'reference_2', description: 'Second reference image', required: true },
+      { name: 'reference_3', description: 'Third reference image', required: false }
+    ]
+  },
+  {
+    name: 'cross-view',
+    title: 'Cross-View',
+    description: 'Generate different viewing angles or perspectives',
+    example: 'Show this object from a bird\'s eye view',
+    references: [
+      { name: 'source_image', description: 'Image of the object or scene to re-project', required: false }
+    ]
+  },
+  {
+    name: 'ar-overlay',
+    title: 'AR Overlay',
+    description: 'Add augmented reality information overlays',
+    example: 'Add holographic UI elements to this scene',
+    references: [
+      { name: 'scene_image', description: 'Photo to annotate with AR overlays', required: true }
+    ]
+  },
+  {
+    name: 'photo-enhancement',
+    title: 'Photo Enhancement',
+    description: 'Enhance and improve photo quality',
+    example: 'Enhance the lighting and colors in this photo',
+    references: [
+      { name: 'photo', description: 'Photo to enhance', required: true }
+    ]
+  }
+];
+
+export function findScenario(name: string): ScenarioDefinition | undefined {
+  return SCENARIOS.find(s => s.name === name);
+}
+
+/**
+ * Prompt arguments for a scenario: subject, style and aspect ratio, followed by its reference slots.
+ * MCP prompt arguments are always strings, so the expected format is spelled out in each description.
+ */
+export function getPromptArguments(scenario: ScenarioDefinition): PromptArgumentDefinition[] {
+  return [
+    {
+      name: 'subject',
+      description: `What to generate (string). Example: ${scenario.example}`,
+      required: true
+    },
+    {
+      name: 'style',
+      description: 'Artistic style or mood (string, optional), e.g. "watercolor", "pixel art"',
+      required: false
+    },
+    {
+      name: 'aspect_ratio',
+      description: 'Aspect ratio (string, optional): 1:1, 16:9, 9:16, 4:3, 3:4, square, landscape, portrait, ...',
+      required: false
+    },
+    ...scenario.references.map(slot => ({
+      name: slot.name,
+      description: `${slot.description} (image reference: file path, http(s) URL or data: URI)`,
+      required: slot.required
+    }))
+  ];
+}
+
+/**
+ * Turn a reference slot value into an ImageInput, inferring the source from its format
+ */
+export function parseImageReference(value: string, description?: string): ImageInput {
+  const trimmed = value.trim();
+  if (trimmed.startsWith('data:')) {
+    const mimeMatch = trimmed.match(/^data:(.*?);base64,/);
+    return { base64: trimmed, mimeType: mimeMatch ? mimeMatch[1] : undefined, description };
+  }
+  if (/^https?:\/\//i.test(trimmed)) {
+    return { url: trimmed, description };
+  }
+  return { path: trimmed, description };
+}
+
+/**
+ * Render prompt arguments into generate_image arguments for the scenario.
+ * A missing required argument is an InvalidParams error for the prompts/get request.
+ */
+export function renderScenarioArgs(scenario: ScenarioDefinition, promptArgs: Record<string, string> = {}): ImageGenerationArgs {
+  for (const arg of getPromptArguments(scenario)) {
+    if (arg.required && !promptArgs[arg.name]?.trim()) {
+      throw new McpError(ErrorCode.InvalidParams, `Missing required argument "${arg.name}" for prompt ${scenario.name}`);
+    }
+  }
+
+  let prompt = promptArgs.subject.trim();
+  if (promptArgs.style?.trim()) {
+    prompt += ` Style: ${promptArgs.style.trim()}.`;
+  }
+
+  const args: ImageGenerationArgs = { prompt, scenario: scenario.name };
+
+  if (promptArgs.aspect_ratio?.trim()) {
+    args.aspect_ratio = promptArgs.aspect_ratio.trim();
+  }
+
+  const images = scenario.references
+    .filter(slot => promptArgs[slot.name]?.trim())
+    .map(slot => parseImageReference(promptArgs[slot.name], slot.description));
+  if (images.length > 0) {
+    args.images = images;
+  }
+
+  return args;
+}
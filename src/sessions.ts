@@ -0,0 +1,143 @@
+// In-memory conversation sessions for multi-turn image editing
+import { ConversationTurn, GeneratedImage, ImageInput } from './types.js';
+
+export interface Session {
+  id: string;
+  created: Date;
+  updated: Date;
+  turns: ConversationTurn[];
+  // Oldest turns discarded to stay within the turn limit; turns[0] is turn dropped_turns + 1
+  dropped_turns: number;
+  branched_from?: { session_id: string; turn: number };
+}
+
+const DEFAULT_MAX_SESSIONS = 50;
+// Every turn carries its images and is replayed on the next request, so history is capped
+const DEFAULT_MAX_SESSION_TURNS = 20;
+
+/**
+ * Convert a generated image into an ImageInput so it can be replayed as a model turn
+ */
+export function generatedToImageInput(image: GeneratedImage): ImageInput | null {
+  if (image.type === 'base64' && image.data) {
+    const mimeMatch = image.data.match(/^data:(.*?);base64,/);
+    return { base64: image.data, mimeType: mimeMatch ? mimeMatch[1] : `image/${image.format || 'png'}` };
+  }
+  if (image.type === 'url' && image.url) {
+    return { url: image.url };
+  }
+  return null;
+}
+
+/**
+ * Sessions are shared by every connected client of this process and evicted
+ * least-recently-used once NANOBANANA_MAX_SESSIONS (default 50) is exceeded.
+ * Each keeps its latest NANOBANANA_MAX_SESSION_TURNS (default 20) turns.
+ */
+export class SessionStore {
+  private sessions = new Map<string, Session>();
+
+  constructor(private maxSessions: number = DEFAULT_MAX_SESSIONS, private maxTurns: number = DEFAULT_MAX_SESSION_TURNS) {}
+
+  get(id: string): Session | undefined {
+    return this.sessions.get(id);
+  }
+
+  getTurns(id: string): ConversationTurn[] {
+    return this.sessions.get(id)?.turns ?? [];
+  }
+
+  /**
+   * Record a completed exchange, dropping the oldest turns past the limit;
+   * returns the 1-based turn number
+   */
+  append(id: string, turn: ConversationTurn): number {
+    const session = this.sessions.get(id) ?? this.create(id);
+    session.turns.push(turn);
+    if (session.turns.length > this.maxTurns) {
+      const excess = session.turns.length - this.maxTurns;
+      session.turns.splice(0, excess);
+      session.dropped_turns += excess;
+    }
+    this.touch(session);
+    return session.dropped_turns + session.turns.length;
+  }
+
+  /**
+   * Start a new session holding turns 1..turn of an existing one. Turns
+   * already dropped from the source cannot be branched from.
+   */
+  branch(sourceId: string, turn: number, newId?: string): Session {
+    const source = this.sessions.get(sourceId);
+    if (!source) {
+      throw new Error(`Unknown session: ${sourceId}`);
+    }
+    const last = source.dropped_turns + source.turns.length;
+    if (!Number.isInteger(turn) || turn < 0 || turn > last || (turn > 0 && turn < source.dropped_turns)) {
+      const range = source.dropped_turns > 0 ? `0 or between ${source.dropped_turns} and ${last}` : `between 0 and ${last}`;
+      throw new Error(`Turn must be ${range} for session ${sourceId}`);
+    }
+
+    const id = newId || `${sourceId}-branch-${Date.now().toString(36)}`;
+    if (this.sessions.has(id)) {
+      throw new Error(`Session already exists: ${id}`);
+    }
+
+    const session = this.create(id);
+    if (turn > 0) {
+      session.turns = source.turns.slice(0, turn - source.dropped_turns);
+      session.dropped_turns = source.dropped_turns;
+    }
+    session.branched_from = { session_id: sourceId, turn };
+    return session;
+  }
+
+  /**
+   * Clear a session's history; returns false if the session did not exist
+   */
+  reset(id: string): boolean {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return false;
+    }
+    session.turns = [];
+    session.dropped_turns = 0;
+    delete session.branched_from;
+    this.touch(session);
+    return true;
+  }
+
+  list(): Session[] {
+    return [...this.sessions.values()].sort((a, b) => b.updated.getTime() - a.updated.getTime());
+  }
+
+  private create(id: string): Session {
+    const now = new Date();
+    const session: Session = { id, created: now, updated: now, turns: [], dropped_turns: 0 };
+    this.sessions.set(id, session);
+    this.evict();
+    return session;
+  }
+
+  private touch(session: Session): void {
+    session.updated = new Date();
+    // Re-insert so Map order tracks recency
+    this.sessions.delete(session.id);
+    this.sessions.set(session.id, session);
+  }
+
+  private evict(): void {
+    while (this.sessions.size > this.maxSessions) {
+      const oldest = this.sessions.keys().next().value as string;
+      this.sessions.delete(oldest);
+      console.error(`Evicted session ${oldest} (limit ${this.maxSessions})`);
+    }
+  }
+}
+
+const configuredMax = parseInt(process.env.NANOBANANA_MAX_SESSIONS || '', 10);
+const configuredMaxTurns = parseInt(process.env.NANOBANANA_MAX_SESSION_TURNS || '', 10);
+export const sessionStore = new SessionStore(
+  Number.isFinite(configuredMax) && configuredMax > 0 ? configuredMax : DEFAULT_MAX_SESSIONS,
+  Number.isFinite(configuredMaxTurns) && configuredMaxTurns > 0 ? configuredMaxTurns : DEFAULT_MAX_SESSION_TURNS
+);
@@ -9,14 +9,36 @@ export interface ImageInput {
 export interface ImageGenerationArgs {
   prompt: string;
   images?: ImageInput[];
-  provider?: 'gemini' | 'openrouter' | 'auto';
+  provider?: string;
   scenario?: ScenarioType;
   aspect_ratio?: string;
   negative_prompt?: string;
   save_to_file?: boolean;
   filename?: string;
   show_full_response?: boolean;
+  inline_images?: boolean;
   sample_count?: number;
+  // Sampling parameters, passed to providers that support them
+  temperature?: number;
+  top_p?: number;
+  top_k?: number;
+  seed?: number;
+  session_id?: string;
+  model?: string;
+  safety_settings?: SafetySetting[];
+  response_modalities?: ResponseModalities;
+}
+
+// What the model may return: images only, or images with accompanying text
+export type ResponseModalities = 'image' | 'text+image';
+
+export interface BatchGenerateArgs {
+  items: ImageGenerationArgs[];
+  concurrency?: number;
+  // Defaults applied to items that don't set their own
+  provider?: string;
+  save_to_file?: boolean;
+  inline_images?: boolean;
 }
 
 export type ScenarioType = 
@@ -38,13 +60,77 @@ export interface GenerationResult {
   enhanced_prompt?: string;
   message?: string;
   images?: GeneratedImage[];
+  // Text parts the model returned (captions, explanations, refusals), joined
+  text?: string;
+  // Text and images in the order the model returned them
+  parts?: ResponsePart[];
   saved_files?: string[];
   usage?: {
     tokens?: number;
     input_tokens?: number;
     output_tokens?: number;
+    // Token counts from the upstream model's own tokenizer, where the provider reports them
+    native_input_tokens?: number;
+    native_output_tokens?: number;
+    // What the request cost, in US dollars
+    cost_usd?: number;
   };
   error?: string;
+  // HTTP status of a failed provider call
+  status?: number;
+  // Whether the failure is transient (408/429/5xx or network) and worth trying elsewhere
+  retryable?: boolean;
+  // Retries the provider made after transient failures
+  retries?: number;
+  cancelled?: boolean;
+  // Set when a safety filter rejected the prompt or withheld the output
+  blocked?: SafetyBlock;
+  session_id?: string;
+  turn?: number;
+  // Every provider tried for this request, in order
+  attempts?: ProviderAttempt[];
+}
+
+/**
+ * One part of a model response; image is the 1-based index into GenerationResult.images
+ */
+export type ResponsePart =
+  | { type: 'text'; text: string }
+  | { type: 'image'; image: number };
+
+export interface ProviderAttempt {
+  provider: string;
+  outcome: 'succeeded' | 'failed' | 'blocked' | 'cancelled' | 'skipped';
+  status?: number;
+  retries?: number;
+  latency_ms: number;
+  // Time spent waiting in the provider's rate-limit queue, included in latency_ms
+  queued_ms?: number;
+  error?: string;
+}
+
+/**
+ * Block threshold for one harm category, e.g. { category: 'harassment', threshold: 'block_only_high' }
+ */
+export interface SafetySetting {
+  category: string;
+  threshold: string;
+}
+
+export interface SafetyBlock {
+  // Whether the prompt was rejected or a generated output was withheld
+  stage: 'prompt' | 'output';
+  // Provider reason, e.g. SAFETY, PROHIBITED_CONTENT, content_filter, moderation
+  reason: string;
+  categories: SafetyCategory[];
+  message?: string;
+}
+
+export interface SafetyCategory {
+  category: string;
+  probability?: string;
+  severity?: string;
+  blocked?: boolean;
 }
 
 export interface GeneratedImage {
@@ -57,7 +143,80 @@ export interface GeneratedImage {
 
 export interface ImageProvider {
   name: string;
+  // Model used when a request does not name one
+  defaultModel?: string;
   isAvailable(): boolean;
-  generateImage(args: ImageGenerationArgs): Promise<GenerationResult>;
+  generateImage(args: ImageGenerationArgs, context?: GenerationContext): Promise<GenerationResult>;
   getModelInfo(): string;
-}
\ No newline at end of file
+  // Image-output models the provider offers, for list_models
+  listModels?(signal?: AbortSignal, options?: ListModelsOptions): Promise<ModelInfo[]>;
+  // Lightweight authenticated call for check_providers; providers without one are probed with listModels
+  probe?(signal?: AbortSignal): Promise<ProviderProbe>;
+}
+
+export interface ListModelsOptions {
+  // false for a single attempt, e.g. when probing health
+  retry?: boolean;
+}
+
+export interface ProviderProbe {
+  models: string[];
+  // Credit or quota figures, when the API reports them
+  quota?: Record<string, any>;
+  quota_exhausted?: boolean;
+}
+
+export interface ModelInfo {
+  id: string;
+  name?: string;
+  description?: string;
+  default?: boolean;
+}
+
+export type GenerationPhase = 'references' | 'canvas' | 'provider' | 'decode' | 'save';
+
+/**
+ * Per-request hooks passed alongside ImageGenerationArgs
+ */
+export interface GenerationContext {
+  // Report a phase of work; step/steps give per-item progress inside the phase
+  onProgress?: (phase: GenerationPhase, message: string, step?: number, steps?: number) => void;
+  // Aborted when the MCP request is cancelled; passed through to every fetch and file operation
+  signal?: AbortSignal;
+  // Earlier exchanges of a multi-turn session, oldest first
+  history?: ConversationTurn[];
+}
+
+/**
+ * One completed exchange of a session: what the user sent and the images the model returned
+ */
+export interface ConversationTurn {
+  prompt: string;
+  images?: ImageInput[];
+  response_images: ImageInput[];
+}
+
+export interface MaskShape {
+  type: 'rectangle' | 'ellipse';
+  // Bounding box in source-image pixels
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface EditImageArgs {
+  prompt: string;
+  image: ImageInput;
+  mask?: ImageInput;
+  mask_shapes?: MaskShape[];
+  invert_mask?: boolean;
+  provider?: string;
+  model?: string;
+  safety_settings?: SafetySetting[];
+  negative_prompt?: string;
+  save_to_file?: boolean;
+  filename?: string;
+  show_full_response?: boolean;
+  inline_images?: boolean;
+}
@@ -1,57 +1,100 @@
 import * as fs from 'fs/promises';
 import * as path from 'path';
-import fetch from 'node-fetch';
+import { fetch } from './utils/http.js';
 
 /**
  * Read an image file from disk and convert to base64
  */
-export async function readImageFileAsBase64(filePath: string): Promise<{ base64: string; mimeType: string }> {
+export async function readImageFileAsBase64(filePath: string, signal?: AbortSignal): Promise<{ base64: string; mimeType: string }> {
   try {
     // Read file buffer
-    const buffer = await fs.readFile(filePath);
+    const buffer = await fs.readFile(filePath, { signal });
 
     // Convert to base64
     const base64 = buffer.toString('base64');
 
     // Determine MIME type from extension
-    const ext = path.extname(filePath).toLowerCase().slice(1);
-    let mimeType = 'image/png'; // default
-
-    switch (ext) {
-      case 'jpg':
-      case 'jpeg':
-        mimeType = 'image/jpeg';
-        break;
-      case 'png':
-        mimeType = 'image/png';
-        break;
-      case 'gif':
-        mimeType = 'image/gif';
-        break;
-      case 'webp':
-        mimeType = 'image/webp';
-        break;
-      case 'bmp':
-        mimeType = 'image/bmp';
-        break;
-    }
+    const mimeType = mimeTypeFromExtension(filePath);
 
     return { base64, mimeType };
   } catch (error: any) {
+    if (signal?.aborted) {
+      throw error;
+    }
     throw new Error(`Failed to read image file ${filePath}: ${error.message}`);
   }
 }
 
-export async function saveImages(images: any[], baseFilename: string): Promise<string[]> {
+/**
+ * Fetch an image URL and convert to base64
+ */
+export async function fetchImageAsBase64(url: string, signal?: AbortSignal): Promise<{ base64: string; mimeType: string }> {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch image from URL: ${url}`);
+  }
+
+  const buffer = await response.arrayBuffer();
+  const base64 = Buffer.from(buffer).toString('base64');
+  const mimeType = response.headers.get('content-type') || 'image/png';
+
+  return { base64, mimeType };
+}
+
+/**
+ * Throw the signal's abort reason if the request has been cancelled
+ */
+export function throwIfCancelled(signal?: AbortSignal): void {
+  if (signal?.aborted) {
+    throw signal.reason ?? new Error('Generation cancelled');
+  }
+}
+
+/**
+ * Map a file extension to an image MIME type (defaults to image/png)
+ */
+export function mimeTypeFromExtension(filePath: string): string {
+  const ext = path.extname(filePath).toLowerCase().slice(1);
+
+  switch (ext) {
+    case 'jpg':
+    case 'jpeg':
+      return 'image/jpeg';
+    case 'gif':
+      return 'image/gif';
+    case 'webp':
+      return 'image/webp';
+    case 'bmp':
+      return 'image/bmp';
+    case 'png':
+    default:
+      return 'image/png';
+  }
+}
+
+// For MCP servers, files should be saved relative to where the client is running
+// Using current directory without process.cwd() to respect client's context
+export const OUTPUT_DIR = 'generated_images';
+
+export async function saveImages(
+  images: any[],
+  baseFilename: string,
+  onProgress?: (index: number, total: number) => void,
+  signal?: AbortSignal
+): Promise<string[]> {
   const savedFiles: string[] = [];
-  // For MCP servers, files should be saved relative to where the client is running
-  // Using current directory without process.cwd() to respect client's context
-  const outputDir = 'generated_images';
+  const outputDir = OUTPUT_DIR;
   await fs.mkdir(outputDir, { recursive: true });
 
+  // One timestamp per call so all images of a generation share a file prefix
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
   for (let i = 0; i < images.length; i++) {
     const image = images[i];
+    let filepath: string | undefined;
     try {
+      throwIfCancelled(signal);
+      onProgress?.(i, images.length);
       let buffer: Buffer;
       let ext = 'png';
 
@@ -67,7 +110,7 @@ export async function saveImages(images: any[], baseFilename: string): Promise<s
           }
         }
       } else if (image.type === 'url' && image.url) {
-        const response = await fetch(image.url);
+        const response = await fetch(image.url, { signal });
         if (!response.ok) {
           throw new Error(`Failed to fetch image from URL: ${image.url}`);
         }
@@ -82,17 +125,22 @@ export async function saveImages(images: any[], baseFilename: string): Promise<s
         continue;
       }
 
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       const safeBase = sanitizeFilename(baseFilename || 'generated_image');
       const filename = images.length > 1 
         ? `${safeBase}_${timestamp}_${i + 1}.${ext}`
         : `${safeBase}_${timestamp}.${ext}`;
-      const filepath = path.join(outputDir, filename);
+      filepath = path.join(outputDir, filename);
 
-      await fs.writeFile(filepath, buffer);
+      await fs.writeFile(filepath, buffer, { signal });
       savedFiles.push(filepath);
       console.error(`Saved image to: ${filepath}`);
     } catch (err) {
+      if (signal?.aborted) {
+        // Cancelled: remove everything this call wrote, including a half-written file
+        const written = filepath ? [...savedFiles, filepath] : savedFiles;
+        await Promise.all(written.map(file => fs.rm(file, { force: true })));
+        throw err;
+      }
       console.error(`Failed to save image #${i + 1}:`, err);
     }
   }
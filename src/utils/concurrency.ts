@@ -0,0 +1,51 @@
+// Bounded-concurrency helpers for batch work
+
+/**
+ * Run worker over items with at most `limit` in flight. Results keep input order,
+ * and a rejected item never stops the others (allSettled semantics).
+ */
+export async function mapWithConcurrency<T, R>(
+  items: T[],
+  limit: number,
+  worker: (item: T, index: number) => Promise<R>
+): Promise<PromiseSettledResult<R>[]> {
+  const results: PromiseSettledResult<R>[] = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Returns a runner that chains tasks sharing a key, so they run one at a time in
+ * call order. Tasks without a key, or with different keys, do not wait on each other.
+ */
+export function serializeByKey(): <R>(key: string | undefined, task: () => Promise<R>) => Promise<R> {
+  const tails = new Map<string, Promise<unknown>>();
+  return (key, task) => {
+    if (!key) {
+      return task();
+    }
+    const previous = tails.get(key) ?? Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    const tail = run.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) {
+        tails.delete(key);
+      }
+    });
+    return run;
+  };
+}
@@ -0,0 +1,96 @@
+// Merge the results of parallel single-candidate requests into one result
+import { GenerationResult, GeneratedImage, ResponsePart } from '../types.js';
+
+/**
+ * Seed for the index-th parallel request. Identical seeds would produce
+ * identical images, so each request gets its own.
+ */
+export function fanOutSeed(seed: number | undefined, index: number): number | undefined {
+  return seed === undefined ? undefined : seed + index;
+}
+
+/**
+ * Combine results into one: images in request order with byte-identical
+ * duplicates dropped, text and parts concatenated, usage and retries summed.
+ * Failed requests are noted in the message as long as one succeeded; if none
+ * did, the first failure is returned (a cancellation wins).
+ */
+export function mergeGenerationResults(results: GenerationResult[]): GenerationResult {
+  const succeeded = results.filter(r => r.success);
+  if (succeeded.length === 0) {
+    return results.find(r => r.cancelled) || results[0];
+  }
+  if (results.length === 1) {
+    return results[0];
+  }
+
+  const images: GeneratedImage[] = [];
+  const parts: ResponsePart[] = [];
+  const seen = new Set<string>();
+  let duplicates = 0;
+  for (const result of succeeded) {
+    // Map this result's image indexes onto the merged list; null marks a duplicate
+    const indexMap = (result.images || []).map(image => {
+      const key = imageKey(image);
+      if (seen.has(key)) {
+        duplicates++;
+        return null;
+      }
+      seen.add(key);
+      images.push(image);
+      return images.length;
+    });
+    const resultParts: ResponsePart[] = result.parts || indexMap.map((_, index) => ({ type: 'image' as const, image: index + 1 }));
+    for (const part of resultParts) {
+      if (part.type === 'text') {
+        parts.push(part);
+      } else if (indexMap[part.image - 1]) {
+        parts.push({ type: 'image', image: indexMap[part.image - 1]! });
+      }
+    }
+  }
+
+  const texts = succeeded.map(r => r.text).filter(Boolean);
+  const failed = results.filter(r => !r.success);
+  const notes = [
+    duplicates > 0 ? `${duplicates} duplicate image(s) dropped` : '',
+    failed.length > 0 ? `${failed.length} of ${results.length} requests failed: ${failed[0].error}` : '',
+  ].filter(Boolean);
+
+  return {
+    success: true,
+    provider: succeeded[0].provider,
+    model: succeeded[0].model,
+    prompt: succeeded[0].prompt,
+    images,
+    text: texts.length > 0 ? texts.join('\n\n') : undefined,
+    parts: texts.length > 0 ? parts : undefined,
+    message: `Generated ${images.length} image(s) from ${results.length} parallel requests${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`,
+    retries: results.reduce((sum, r) => sum + (r.retries || 0), 0),
+    usage: sumUsage(results),
+  };
+}
+
+function imageKey(image: GeneratedImage): string {
+  // Compare the payload only, so the same bytes under a different MIME label still match
+  return image.type === 'base64' && image.data ? `b:${image.data.replace(/^data:.*?;base64,/, '')}` : `u:${image.url}`;
+}
+
+function sumUsage(results: GenerationResult[]): GenerationResult['usage'] {
+  const withUsage = results.filter(r => r.usage);
+  if (withUsage.length === 0) {
+    return undefined;
+  }
+  const sum = (key: keyof NonNullable<GenerationResult['usage']>) => {
+    const values = withUsage.map(r => r.usage![key]).filter((v): v is number => typeof v === 'number');
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) : undefined;
+  };
+  return {
+    input_tokens: sum('input_tokens'),
+    output_tokens: sum('output_tokens'),
+    tokens: sum('tokens'),
+    native_input_tokens: sum('native_input_tokens'),
+    native_output_tokens: sum('native_output_tokens'),
+    cost_usd: sum('cost_usd'),
+  };
+}
@@ -0,0 +1,232 @@
+// Gemini Files API: resumable uploads for reference images too large to inline, cached by content hash
+import { createHash } from 'crypto';
+import { fetch } from './http.js';
+import { providerErrorFromResponse } from './provider-errors.js';
+import { RetryPolicy, abortable, sleep, withRetry } from './retry.js';
+import { throwIfCancelled } from '../utils.js';
+
+// Images bigger than this are uploaded rather than inlined
+export const DEFAULT_UPLOAD_THRESHOLD_BYTES = 4 * 1024 * 1024;
+// Inline image data a request may carry; Gemini rejects requests over 20 MB in total
+export const DEFAULT_MAX_INLINE_BYTES = 16 * 1024 * 1024;
+// Uploaded files are deleted after 48 hours; stop reusing one an hour before that
+const FILE_LIFETIME_MS = 48 * 60 * 60 * 1000;
+const REUSE_MARGIN_MS = 60 * 60 * 1000;
+const PROCESSING_POLL_MS = 1000;
+const PROCESSING_TIMEOUT_MS = 60_000;
+// Bound on a shared upload, which no single caller's cancellation stops
+const UPLOAD_TIMEOUT_MS = 5 * 60_000;
+
+export interface FileUploadConfig {
+  // Upload references through the Files API when needed (default true)
+  enabled?: boolean;
+  // Images larger than this many bytes are always uploaded (default 4 MB)
+  threshold_bytes?: number;
+  // Largest images are uploaded until the inline data left fits in this many bytes (default 16 MB)
+  max_inline_bytes?: number;
+}
+
+export interface UploadedFile {
+  name: string;
+  uri: string;
+  mimeType: string;
+  expiresAt: number;
+}
+
+export interface OffloadResult {
+  contents: any[];
+  // URIs of the files the contents now reference
+  uris: string[];
+}
+
+/**
+ * Uploads image bytes once per content hash and hands out file_data parts.
+ * A cached file is reused until shortly before it expires; concurrent uploads
+ * of the same bytes share one request.
+ */
+export class GeminiFileStore {
+  private files = new Map<string, UploadedFile>();
+  private pending = new Map<string, Promise<UploadedFile>>();
+  private thresholdBytes: number;
+  private maxInlineBytes: number;
+
+  constructor(
+    private baseUrl: string,
+    private headers: () => Promise<Record<string, string>>,
+    private retryPolicy: RetryPolicy,
+    config: FileUploadConfig = {}
+  ) {
+    this.thresholdBytes = config.threshold_bytes ?? DEFAULT_UPLOAD_THRESHOLD_BYTES;
+    this.maxInlineBytes = config.max_inline_bytes ?? DEFAULT_MAX_INLINE_BYTES;
+  }
+
+  /**
+   * Replace inline_data parts with file_data parts: every image over the
+   * threshold, then the largest remaining ones until the inline total fits.
+   * The contents passed in are left untouched.
+   */
+  async offload(
+    contents: any[],
+    signal?: AbortSignal,
+    onUpload?: (index: number, total: number, bytes: number) => void
+  ): Promise<OffloadResult> {
+    const inline = contents.flatMap(content => (content.parts || []).filter((part: any) => part.inline_data));
+    const sizes = new Map<any, number>(inline.map(part => [part, Buffer.byteLength(part.inline_data.data, 'base64')]));
+    const selected = new Set(inline.filter(part => sizes.get(part)! > this.thresholdBytes));
+
+    let remaining = inline.filter(part => !selected.has(part)).reduce((sum, part) => sum + sizes.get(part)!, 0);
+    for (const part of inline.filter(part => !selected.has(part)).sort((a, b) => sizes.get(b)! - sizes.get(a)!)) {
+      if (remaining <= this.maxInlineBytes) {
+        break;
+      }
+      selected.add(part);
+      remaining -= sizes.get(part)!;
+    }
+    if (selected.size === 0) {
+      return { contents, uris: [] };
+    }
+
+    const uploads = new Map<any, UploadedFile>();
+    for (const part of selected) {
+      throwIfCancelled(signal);
+      onUpload?.(uploads.size, selected.size, sizes.get(part)!);
+      uploads.set(part, await this.upload(Buffer.from(part.inline_data.data, 'base64'), part.inline_data.mime_type, signal));
+    }
+
+    return {
+      contents: contents.map(content => ({
+        ...content,
+        parts: (content.parts || []).map((part: any) => {
+          const file = uploads.get(part);
+          return file ? { file_data: { mime_type: file.mimeType, file_uri: file.uri } } : part;
+        }),
+      })),
+      uris: [...new Set([...uploads.values()].map(file => file.uri))],
+    };
+  }
+
+  /**
+   * The uploaded file for these bytes, uploading them if no usable copy is cached.
+   * Aborting `signal` stops this caller waiting; an upload other callers may
+   * share carries on under its own timeout.
+   */
+  async upload(data: Buffer, mimeType: string, signal?: AbortSignal): Promise<UploadedFile> {
+    const key = `${mimeType}:${createHash('sha256').update(data).digest('hex')}`;
+    const cached = this.files.get(key);
+    if (cached && cached.expiresAt - Date.now() > REUSE_MARGIN_MS) {
+      return cached;
+    }
+
+    let pending = this.pending.get(key);
+    if (!pending) {
+      pending = this.uploadNow(data, mimeType, AbortSignal.timeout(UPLOAD_TIMEOUT_MS)).then(file => {
+        this.files.set(key, file);
+        return file;
+      }).finally(() => {
+        this.pending.delete(key);
+      });
+      this.pending.set(key, pending);
+    }
+    return abortable(pending, signal);
+  }
+
+  /**
+   * Drop cached files, e.g. after the API reported them missing or expired early
+   */
+  forget(uris: string[]): void {
+    for (const [key, file] of this.files) {
+      if (uris.includes(file.uri)) {
+        this.files.delete(key);
+      }
+    }
+  }
+
+  private async uploadNow(data: Buffer, mimeType: string, signal?: AbortSignal): Promise<UploadedFile> {
+    // Resumable protocol: start a session, then send the bytes and finalize in one request
+    const file = await withRetry(this.retryPolicy, async () => {
+      const start = await fetch(`${uploadBaseUrl(this.baseUrl)}/files`, {
+        method: 'POST',
+        headers: {
+          ...await this.headers(),
+          'Content-Type': 'application/json',
+          'X-Goog-Upload-Protocol': 'resumable',
+          'X-Goog-Upload-Command': 'start',
+          'X-Goog-Upload-Header-Content-Length': String(data.length),
+          'X-Goog-Upload-Header-Content-Type': mimeType,
+        },
+        body: JSON.stringify({ file: { display_name: `nanobanana-reference-${Date.now()}` } }),
+        signal,
+      });
+      if (!start.ok) {
+        throw await providerErrorFromResponse('Gemini Files', start);
+      }
+      const sessionUrl = start.headers.get('x-goog-upload-url');
+      if (!sessionUrl) {
+        throw new Error('Gemini Files API did not return an upload URL');
+      }
+
+      const res = await fetch(sessionUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Length': String(data.length),
+          'X-Goog-Upload-Offset': '0',
+          'X-Goog-Upload-Command': 'upload, finalize',
+        },
+        body: data,
+        signal,
+      });
+      if (!res.ok) {
+        throw await providerErrorFromResponse('Gemini Files', res);
+      }
+      return ((await res.json()) as any).file;
+    }, { signal });
+
+    const active = file?.state === 'PROCESSING' ? await this.waitUntilActive(file.name, signal) : file;
+    if (!active?.uri || active.state === 'FAILED') {
+      throw new Error(`Gemini Files API could not process the upload${active?.error?.message ? `: ${active.error.message}` : ''}`);
+    }
+    const expiresAt = Date.parse(active.expirationTime);
+    return {
+      name: active.name,
+      uri: active.uri,
+      mimeType: active.mimeType || mimeType,
+      expiresAt: Number.isNaN(expiresAt) ? Date.now() + FILE_LIFETIME_MS : expiresAt,
+    };
+  }
+
+  private async waitUntilActive(name: string, signal?: AbortSignal): Promise<any> {
+    const deadline = Date.now() + PROCESSING_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      await sleep(PROCESSING_POLL_MS, signal);
+      const res = await fetch(`${this.baseUrl}/${name}`, { headers: await this.headers(), signal });
+      if (!res.ok) {
+        throw await providerErrorFromResponse('Gemini Files', res);
+      }
+      const file = await res.json() as any;
+      if (file.state !== 'PROCESSING') {
+        return file;
+      }
+    }
+    throw new Error(`Gemini Files API still processing ${name} after ${PROCESSING_TIMEOUT_MS / 1000}s`);
+  }
+}
+
+/**
+ * Uploads go to the same API version under /upload, e.g.
+ * https://generativelanguage.googleapis.com/upload/v1beta
+ */
+export function uploadBaseUrl(baseUrl: string): string {
+  const url = new URL(baseUrl);
+  const segments = url.pathname.replace(/\/+$/, '').split('/');
+  segments.splice(segments.length - 1, 0, 'upload');
+  url.pathname = segments.join('/');
+  return url.toString().replace(/\/+$/, '');
+}
+
+/**
+ * Whether a failed request points at an uploaded file that is gone, e.g. it
+ * expired or was deleted, so uploading it again may help
+ */
+export function isMissingFileError(status: number | undefined, error: string | undefined): boolean {
+  return (status === 400 || status === 403 || status === 404) && /\bfiles?\b/i.test(error || '');
+}
@@ -0,0 +1,136 @@
+// MCP resource view over the images written to generated_images/ by saveImages
+import { EventEmitter } from 'events';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { OUTPUT_DIR, mimeTypeFromExtension } from '../utils.js';
+
+export const GENERATION_URI_TEMPLATE = 'nanobanana://generations/{id}/{index}';
+
+// JSON-RPC error code the MCP spec assigns to resources/read of an unknown URI; the SDK has no constant for it
+const RESOURCE_NOT_FOUND = -32002;
+
+// Emits 'saved' with the saved file paths, so every connected session can send resources/list_changed
+export const generatedImageEvents = new EventEmitter();
+generatedImageEvents.setMaxListeners(0);
+
+export interface GeneratedResource {
+  uri: string;
+  id: string;
+  index: number;
+  filepath: string;
+  mimeType: string;
+  size: number;
+  modified: Date;
+}
+
+// saveImages names files <base>_<ISO timestamp>[_<n>].<ext>; the part before _<n> is the generation id
+const SAVED_FILE_PATTERN = /^(.+_\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)(?:_(\d+))?\.[a-z0-9]+$/i;
+
+/**
+ * Derive the generation id and 1-based image index from a saved filename
+ */
+export function parseSavedFilename(filename: string): { id: string; index: number } {
+  const match = filename.match(SAVED_FILE_PATTERN);
+  if (match) {
+    return { id: match[1], index: match[2] ? parseInt(match[2], 10) : 1 };
+  }
+  // Files not written by saveImages are exposed as single-image generations
+  return { id: path.basename(filename, path.extname(filename)), index: 1 };
+}
+
+export function buildGenerationUri(id: string, index: number): string {
+  return `nanobanana://generations/${encodeURIComponent(id)}/${index}`;
+}
+
+/**
+ * Map a path returned by saveImages to its resource URI
+ */
+export function uriForSavedFile(filepath: string): string {
+  const { id, index } = parseSavedFilename(path.basename(filepath));
+  return buildGenerationUri(id, index);
+}
+
+/**
+ * List every image in the output directory, newest first
+ */
+export async function listGeneratedResources(): Promise<GeneratedResource[]> {
+  let entries: string[];
+  try {
+    entries = await fs.readdir(OUTPUT_DIR);
+  } catch (error: any) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const resources: GeneratedResource[] = [];
+  for (const entry of entries) {
+    if (!/\.(png|jpe?g|gif|webp|bmp)$/i.test(entry)) {
+      continue;
+    }
+    const filepath = path.join(OUTPUT_DIR, entry);
+    let stat;
+    try {
+      stat = await fs.stat(filepath);
+    } catch (error: any) {
+      // Deleted since readdir
+      if (error.code === 'ENOENT') {
+        continue;
+      }
+      throw error;
+    }
+    if (!stat.isFile()) {
+      continue;
+    }
+    const { id, index } = parseSavedFilename(entry);
+    resources.push({
+      uri: buildGenerationUri(id, index),
+      id,
+      index,
+      filepath,
+      mimeType: mimeTypeFromExtension(entry),
+      size: stat.size,
+      modified: stat.mtime,
+    });
+  }
+
+  return resources.sort((a, b) => b.modified.getTime() - a.modified.getTime() || a.id.localeCompare(b.id) || a.index - b.index);
+}
+
+/**
+ * Resolve a nanobanana://generations/{id}/{index} URI to a saved image.
+ * A malformed URI is InvalidParams; an unknown one is the spec's resource-not-found error.
+ */
+export async function findGeneratedResource(uri: string): Promise<GeneratedResource> {
+  const match = uri.match(/^nanobanana:\/\/generations\/([^/]+)\/(\d+)$/);
+  if (!match) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid resource URI: ${uri}. Expected ${GENERATION_URI_TEMPLATE}`);
+  }
+  const id = decodeURIComponent(match[1]);
+  const index = parseInt(match[2], 10);
+
+  const resource = (await listGeneratedResources()).find(r => r.id === id && r.index === index);
+  if (!resource) {
+    throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+  }
+  return resource;
+}
+
+/**
+ * Read a saved image as base64 blob contents
+ */
+export async function readGeneratedResource(uri: string): Promise<{ uri: string; mimeType: string; blob: string }> {
+  const resource = await findGeneratedResource(uri);
+  let buffer: Buffer;
+  try {
+    buffer = await fs.readFile(resource.filepath);
+  } catch (error: any) {
+    if (error.code === 'ENOENT') {
+      throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+    }
+    throw error;
+  }
+  return { uri: resource.uri, mimeType: resource.mimeType, blob: buffer.toString('base64') };
+}
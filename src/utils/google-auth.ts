@@ -0,0 +1,106 @@
+// OAuth2 access tokens for Google service accounts, minted from a locally signed JWT
+import { fetch } from './http.js';
+import { createSign } from 'crypto';
+import { providerErrorFromResponse } from './provider-errors.js';
+
+export interface ServiceAccountKey {
+  client_email: string;
+  private_key: string;
+  private_key_id?: string;
+  project_id?: string;
+  token_uri?: string;
+}
+
+const DEFAULT_TOKEN_URI = 'https://oauth2.googleapis.com/token';
+const CLOUD_PLATFORM_SCOPE = 'https://www.googleapis.com/auth/cloud-platform';
+const ASSERTION_LIFETIME_S = 3600;
+// Refresh this long before expiry so a token never runs out mid-request
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Parse and validate the contents of a service-account JSON key file
+ */
+export function parseServiceAccountKey(json: string): ServiceAccountKey {
+  const key = JSON.parse(json);
+  if (key.type && key.type !== 'service_account') {
+    throw new Error(`Expected a service_account key, got "${key.type}"`);
+  }
+  if (!key.client_email || !key.private_key) {
+    throw new Error('Service account key is missing client_email or private_key');
+  }
+  return key as ServiceAccountKey;
+}
+
+/**
+ * Build the RS256-signed JWT assertion exchanged for an access token
+ */
+export function signServiceAccountJwt(key: ServiceAccountKey, scope: string = CLOUD_PLATFORM_SCOPE, now: number = Date.now()): string {
+  const iat = Math.floor(now / 1000);
+  const header = { alg: 'RS256', typ: 'JWT', ...(key.private_key_id ? { kid: key.private_key_id } : {}) };
+  const claims = {
+    iss: key.client_email,
+    scope,
+    aud: key.token_uri || DEFAULT_TOKEN_URI,
+    iat,
+    exp: iat + ASSERTION_LIFETIME_S,
+  };
+
+  const encode = (value: object) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode(header)}.${encode(claims)}`;
+  const signature = createSign('RSA-SHA256').update(unsigned).sign(key.private_key, 'base64url');
+  return `${unsigned}.${signature}`;
+}
+
+/**
+ * Caches the current access token and fetches a new one shortly before it
+ * expires. Concurrent callers share a single in-flight token request.
+ */
+export class ServiceAccountTokenSource {
+  private cached?: { token: string; expiresAt: number };
+  private pending?: Promise<string>;
+
+  constructor(private key: ServiceAccountKey, private scope: string = CLOUD_PLATFORM_SCOPE) {}
+
+  async getToken(): Promise<string> {
+    if (this.cached && Date.now() < this.cached.expiresAt - EXPIRY_MARGIN_MS) {
+      return this.cached.token;
+    }
+    if (!this.pending) {
+      this.pending = this.fetchToken().finally(() => {
+        this.pending = undefined;
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Drop the cached token, e.g. after the API rejected it
+   */
+  invalidate(): void {
+    this.cached = undefined;
+  }
+
+  private async fetchToken(): Promise<string> {
+    const response = await fetch(this.key.token_uri || DEFAULT_TOKEN_URI, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: signServiceAccountJwt(this.key, this.scope),
+      }).toString(),
+    });
+    if (!response.ok) {
+      throw await providerErrorFromResponse('OAuth token', response);
+    }
+
+    const data = await response.json() as any;
+    if (!data.access_token) {
+      throw new Error('OAuth token response did not include an access_token');
+    }
+    this.cached = {
+      token: data.access_token,
+      expiresAt: Date.now() + (Number(data.expires_in) || ASSERTION_LIFETIME_S) * 1000,
+    };
+    return data.access_token;
+  }
+}
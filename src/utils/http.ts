@@ -0,0 +1,130 @@
+// Outbound HTTP for provider calls and reference downloads: proxy selection and a custom CA bundle
+import nodeFetch, { RequestInfo, RequestInit, Response } from 'node-fetch';
+import * as fs from 'fs';
+import * as http from 'http';
+import * as https from 'https';
+import * as tls from 'tls';
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { NetworkConfig } from '../config.js';
+
+interface NetworkSettings {
+  httpProxy?: string;
+  httpsProxy?: string;
+  noProxy: string[];
+  // Default roots plus the custom bundle, or undefined to use Node's defaults
+  ca?: string[];
+}
+
+let settings: NetworkSettings | undefined;
+const agents = new Map<string, http.Agent>();
+
+/**
+ * Apply the config file's `network` block. A proxy set there is used for both
+ * schemes; otherwise HTTPS_PROXY / HTTP_PROXY (either case) are read, and
+ * NO_PROXY lists hosts to reach directly. ca_file (or NANOBANANA_CA_FILE) adds
+ * PEM certificates to the trusted roots, e.g. for a TLS-intercepting gateway.
+ */
+export function configureNetwork(config: NetworkConfig = {}, env: NodeJS.ProcessEnv = process.env): void {
+  const noProxy = config.no_proxy ?? env.NO_PROXY ?? env.no_proxy ?? '';
+  const caFile = config.ca_file || env.NANOBANANA_CA_FILE;
+
+  let ca: string[] | undefined;
+  if (caFile) {
+    let pem: string;
+    try {
+      pem = fs.readFileSync(caFile, 'utf8');
+    } catch (error: any) {
+      throw new Error(`Failed to read CA bundle ${caFile}: ${error.message}`);
+    }
+    if (!pem.includes('-----BEGIN CERTIFICATE-----')) {
+      throw new Error(`CA bundle ${caFile} contains no PEM certificates`);
+    }
+    ca = [...tls.rootCertificates, pem];
+  }
+
+  settings = {
+    httpProxy: config.proxy || env.HTTP_PROXY || env.http_proxy || undefined,
+    httpsProxy: config.proxy || env.HTTPS_PROXY || env.https_proxy || undefined,
+    noProxy: (Array.isArray(noProxy) ? noProxy : noProxy.split(/[\s,]+/))
+      .map(entry => entry.trim().toLowerCase())
+      .filter(Boolean),
+    ca,
+  };
+  agents.clear();
+}
+
+/**
+ * The proxy URL a request to `url` goes through, or undefined for a direct connection
+ */
+export function proxyFor(url: string | URL): string | undefined {
+  const target = new URL(url.toString());
+  const { httpProxy, httpsProxy, noProxy } = current();
+  const proxy = target.protocol === 'https:' ? httpsProxy : target.protocol === 'http:' ? httpProxy : undefined;
+  if (!proxy || bypassesProxy(target, noProxy)) {
+    return undefined;
+  }
+  return proxy;
+}
+
+/**
+ * node-fetch with the configured proxy and CA bundle. The agent is chosen per
+ * URL, so redirects to another host or scheme are routed correctly too.
+ */
+export function fetch(url: RequestInfo, init: RequestInit = {}): Promise<Response> {
+  return nodeFetch(url, { ...init, agent: (parsed: URL) => agentFor(parsed) });
+}
+
+function agentFor(url: URL): http.Agent | undefined {
+  const proxy = proxyFor(url);
+  const { ca } = current();
+  if (!proxy && !(ca && url.protocol === 'https:')) {
+    return undefined;
+  }
+
+  const key = `${url.protocol}${proxy || ''}`;
+  let agent = agents.get(key);
+  if (!agent) {
+    // ca also covers the TLS connection to an https:// proxy
+    const options = { keepAlive: true, ...(ca ? { ca } : {}) };
+    agent = !proxy
+      ? new https.Agent(options)
+      : url.protocol === 'https:'
+        ? new HttpsProxyAgent(proxy, options)
+        : new HttpProxyAgent(proxy, options);
+    agents.set(key, agent);
+  }
+  return agent;
+}
+
+function current(): NetworkSettings {
+  if (!settings) {
+    configureNetwork();
+  }
+  return settings!;
+}
+
+/**
+ * NO_PROXY entries: "*" for every host, a host name that also matches its
+ * subdomains (a leading "." or "*." is allowed), or an IP address, each
+ * optionally with ":port"
+ */
+function bypassesProxy(url: URL, noProxy: string[]): boolean {
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+  return noProxy.some(entry => {
+    if (entry === '*') {
+      return true;
+    }
+    // A bare IPv6 address has several colons and no port; one with a port is bracketed
+    const bracketed = entry.match(/^\[(.+)\](?::(\d+))?$/);
+    const [name, entryPort] = bracketed
+      ? [bracketed[1], bracketed[2]]
+      : entry.split(':').length === 2 ? entry.split(':') : [entry, undefined];
+    if (entryPort && entryPort !== port) {
+      return false;
+    }
+    const domain = name.replace(/^\*?\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
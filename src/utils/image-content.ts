@@ -0,0 +1,97 @@
+// Convert generated images into MCP image content blocks
+import { Jimp } from 'jimp';
+import { fetch } from './http.js';
+import { GeneratedImage } from '../types.js';
+
+// Default cap on the base64 payload of a single inline image (~1MB)
+export const DEFAULT_MAX_INLINE_BYTES = 1024 * 1024;
+
+// Longest edge tried, in order, when an image has to be downscaled to fit the cap
+const DOWNSCALE_STEPS = [1536, 1024, 768, 512, 384, 256];
+
+export interface ImageContentBlock {
+  type: 'image';
+  data: string;
+  mimeType: string;
+}
+
+export interface InlineImageResult {
+  block?: ImageContentBlock;
+  downscaled?: boolean;
+  error?: string;
+}
+
+/**
+ * Resolve the inline size cap from NANOBANANA_MAX_INLINE_BYTES, falling back to the default
+ */
+export function getMaxInlineBytes(): number {
+  const configured = parseInt(process.env.NANOBANANA_MAX_INLINE_BYTES || '', 10);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_MAX_INLINE_BYTES;
+}
+
+/**
+ * Decode a generated image into raw bytes and its MIME type
+ */
+export async function decodeGeneratedImage(image: GeneratedImage, signal?: AbortSignal): Promise<{ buffer: Buffer; mimeType: string }> {
+  if (image.type === 'base64' && image.data) {
+    const mimeMatch = image.data.match(/^data:(.*?);base64,/);
+    const mimeType = mimeMatch ? mimeMatch[1] : formatToMimeType(image.format);
+    const buffer = Buffer.from(image.data.replace(/^data:.*?;base64,/, ''), 'base64');
+    return { buffer, mimeType };
+  }
+
+  if (image.type === 'url' && image.url) {
+    const response = await fetch(image.url, { signal });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch image from URL: ${image.url}`);
+    }
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const mimeType = response.headers.get('content-type')?.split(';')[0] || formatToMimeType(image.format);
+    return { buffer, mimeType };
+  }
+
+  throw new Error('Image has no data or URL');
+}
+
+/**
+ * Build an MCP image content block for a generated image.
+ * Images whose base64 payload exceeds maxBytes are re-encoded as progressively
+ * smaller JPEGs until they fit; the original is left untouched on disk.
+ */
+export async function toImageContent(
+  image: GeneratedImage,
+  maxBytes: number = getMaxInlineBytes(),
+  signal?: AbortSignal
+): Promise<InlineImageResult> {
+  try {
+    const { buffer, mimeType } = await decodeGeneratedImage(image, signal);
+    const base64 = buffer.toString('base64');
+
+    if (base64.length <= maxBytes) {
+      return { block: { type: 'image', data: base64, mimeType } };
+    }
+
+    const source = await Jimp.read(buffer);
+    for (const edge of DOWNSCALE_STEPS) {
+      const scaled = source.clone();
+      if (scaled.width > edge || scaled.height > edge) {
+        scaled.scaleToFit({ w: edge, h: edge });
+      }
+      const jpeg = await scaled.getBuffer('image/jpeg', { quality: 80 });
+      const data = jpeg.toString('base64');
+      if (data.length <= maxBytes) {
+        return { block: { type: 'image', data, mimeType: 'image/jpeg' }, downscaled: true };
+      }
+    }
+
+    return { error: `Image exceeds inline limit of ${Math.round(maxBytes / 1024)}KB even after downscaling` };
+  } catch (error: any) {
+    return { error: error.message };
+  }
+}
+
+export function formatToMimeType(format?: string): string {
+  if (!format) return 'image/png';
+  if (format.includes('/')) return format;
+  return format === 'jpg' ? 'image/jpeg' : `image/${format}`;
+}
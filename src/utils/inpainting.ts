@@ -0,0 +1,159 @@
+// Mask-based inpainting: build the edit mask, prepare the provider input and composite the result
+import { Jimp } from 'jimp';
+import { ImageInput, MaskShape } from '../types.js';
+import { readImageFileAsBase64, fetchImageAsBase64 } from '../utils.js';
+
+type JimpImage = Awaited<ReturnType<typeof Jimp.read>>;
+
+// Highlight colour used to mark the editable region in the guide image sent to the provider
+const HIGHLIGHT = { r: 255, g: 0, b: 255 };
+const HIGHLIGHT_OPACITY = 0.5;
+
+/**
+ * Load an ImageInput (path, URL or base64) into a Jimp image
+ */
+export async function loadImageInput(image: ImageInput, signal?: AbortSignal): Promise<JimpImage> {
+  let base64: string;
+  if (image.base64) {
+    base64 = image.base64.replace(/^data:.*?;base64,/, '');
+  } else if (image.path) {
+    base64 = (await readImageFileAsBase64(image.path, signal)).base64;
+  } else if (image.url) {
+    base64 = (await fetchImageAsBase64(image.url, signal)).base64;
+  } else {
+    throw new Error('Image input requires a path, url or base64 data');
+  }
+  return Jimp.read(Buffer.from(base64, 'base64'));
+}
+
+/**
+ * Build a per-pixel edit weight (0 = keep, 255 = replace) matching the source dimensions.
+ * Mask images are read as luminance multiplied by alpha, so white/opaque areas are edited
+ * and black/transparent areas are kept. Shapes are given in source-image pixels.
+ */
+export async function buildMask(
+  width: number,
+  height: number,
+  options: { mask?: ImageInput; shapes?: MaskShape[]; invert?: boolean },
+  signal?: AbortSignal
+): Promise<Uint8Array> {
+  const weights = new Uint8Array(width * height);
+
+  if (options.mask) {
+    const maskImage = await loadImageInput(options.mask, signal);
+    if (maskImage.width !== width || maskImage.height !== height) {
+      maskImage.resize({ w: width, h: height });
+    }
+    const data = maskImage.bitmap.data;
+    for (let i = 0; i < weights.length; i++) {
+      const o = i * 4;
+      const luminance = 0.299 * data[o] + 0.587 * data[o + 1] + 0.114 * data[o + 2];
+      weights[i] = Math.round(luminance * data[o + 3] / 255);
+    }
+  }
+
+  for (const shape of options.shapes || []) {
+    drawShape(weights, width, height, shape);
+  }
+
+  if (options.invert) {
+    for (let i = 0; i < weights.length; i++) {
+      weights[i] = 255 - weights[i];
+    }
+  }
+
+  if (!weights.some(w => w > 0)) {
+    throw new Error('Mask is empty: no pixels are marked for editing');
+  }
+
+  return weights;
+}
+
+function drawShape(weights: Uint8Array, width: number, height: number, shape: MaskShape): void {
+  if (!(shape.width > 0) || !(shape.height > 0)) {
+    throw new Error(`Invalid ${shape.type} mask: width and height must be positive`);
+  }
+
+  const x0 = Math.max(0, Math.floor(shape.x));
+  const y0 = Math.max(0, Math.floor(shape.y));
+  const x1 = Math.min(width, Math.ceil(shape.x + shape.width));
+  const y1 = Math.min(height, Math.ceil(shape.y + shape.height));
+  const cx = shape.x + shape.width / 2;
+  const cy = shape.y + shape.height / 2;
+  const rx = shape.width / 2;
+  const ry = shape.height / 2;
+
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      if (shape.type === 'ellipse') {
+        const dx = (x + 0.5 - cx) / rx;
+        const dy = (y + 0.5 - cy) / ry;
+        if (dx * dx + dy * dy > 1) {
+          continue;
+        }
+      }
+      weights[y * width + x] = 255;
+    }
+  }
+}
+
+/**
+ * Render the guide image: the source with the editable region tinted, so the
+ * provider can see exactly which area the prompt applies to
+ */
+export async function renderMaskGuide(source: JimpImage, weights: Uint8Array): Promise<string> {
+  const guide = source.clone();
+  const data = guide.bitmap.data;
+  for (let i = 0; i < weights.length; i++) {
+    if (weights[i] === 0) {
+      continue;
+    }
+    const alpha = HIGHLIGHT_OPACITY * weights[i] / 255;
+    const o = i * 4;
+    data[o] = Math.round(data[o] * (1 - alpha) + HIGHLIGHT.r * alpha);
+    data[o + 1] = Math.round(data[o + 1] * (1 - alpha) + HIGHLIGHT.g * alpha);
+    data[o + 2] = Math.round(data[o + 2] * (1 - alpha) + HIGHLIGHT.b * alpha);
+  }
+  const buffer = await guide.getBuffer('image/png');
+  return buffer.toString('base64');
+}
+
+/**
+ * Composite the provider output onto the source. The output is resized to the
+ * source dimensions and blended by mask weight; pixels with weight 0 are copied
+ * from the source unchanged. Returns a lossless PNG as base64.
+ */
+export async function compositeMasked(source: JimpImage, generated: Buffer, weights: Uint8Array): Promise<string> {
+  const edited = await Jimp.read(generated);
+  if (edited.width !== source.width || edited.height !== source.height) {
+    edited.resize({ w: source.width, h: source.height });
+  }
+
+  const result = source.clone();
+  const out = result.bitmap.data;
+  const gen = edited.bitmap.data;
+  for (let i = 0; i < weights.length; i++) {
+    const weight = weights[i];
+    if (weight === 0) {
+      continue;
+    }
+    const o = i * 4;
+    const a = weight / 255;
+    for (let c = 0; c < 4; c++) {
+      out[o + c] = Math.round(out[o + c] * (1 - a) + gen[o + c] * a);
+    }
+  }
+
+  const buffer = await result.getBuffer('image/png');
+  return buffer.toString('base64');
+}
+
+/**
+ * Instruction sent with the source and guide images
+ */
+export function buildInpaintingPrompt(prompt: string): string {
+  return `Edit the first image. The second image is the same picture with the area to change highlighted in translucent magenta. ` +
+    `Apply this change only inside the highlighted area: ${prompt}. ` +
+    `Keep everything outside the highlighted area identical to the first image, and do not include the magenta highlight in the output. ` +
+    `Return the full image at the same framing and aspect ratio.`;
+}
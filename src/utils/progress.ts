@@ -0,0 +1,115 @@
+// Map generation phases onto MCP notifications/progress messages
+import { GenerationPhase } from '../types.js';
+
+export interface ProgressNotification {
+  method: 'notifications/progress';
+  params: {
+    progressToken: string | number;
+    progress: number;
+    total: number;
+    message?: string;
+  };
+}
+
+// Share of the 0-100 progress scale covered by each phase
+const PHASE_RANGES: Record<GenerationPhase, [number, number]> = {
+  references: [0, 10],
+  canvas: [10, 15],
+  provider: [15, 85],
+  decode: [85, 90],
+  save: [90, 100],
+};
+
+const TOTAL = 100;
+const HEARTBEAT_MS = 2000;
+
+/**
+ * Sends strictly increasing progress notifications for one request.
+ * While waiting on the provider, a heartbeat keeps advancing the bar
+ * (approaching but never reaching the end of the phase) so clients can
+ * tell a slow generation from a stalled one.
+ */
+export class ProgressReporter {
+  private last = -1;
+  private heartbeat?: NodeJS.Timeout;
+
+  constructor(
+    private progressToken: string | number | undefined,
+    private send: (notification: ProgressNotification) => Promise<void>
+  ) {}
+
+  // A reporter for work that has no progress token, e.g. the individual items of a batch
+  static none(): ProgressReporter {
+    return new ProgressReporter(undefined, async () => {});
+  }
+
+  get enabled(): boolean {
+    return this.progressToken !== undefined;
+  }
+
+  report = (phase: GenerationPhase, message: string, step: number = 0, steps: number = 1): void => {
+    if (!this.enabled) {
+      return;
+    }
+    this.stopHeartbeat();
+
+    const [start, end] = PHASE_RANGES[phase];
+    const fraction = steps > 0 ? Math.min(step / steps, 1) : 0;
+    this.emit(start + (end - start) * fraction, message);
+
+    if (phase === 'provider') {
+      this.startHeartbeat(start, end, message);
+    }
+  };
+
+  /**
+   * Report item-level progress (e.g. batch items) across the whole 0-100 scale
+   */
+  reportItems = (completed: number, total: number, message: string): void => {
+    if (!this.enabled) {
+      return;
+    }
+    this.stopHeartbeat();
+    this.emit(total > 0 ? (completed / total) * TOTAL : 0, message);
+  };
+
+  complete(message: string = 'Done'): void {
+    if (!this.enabled) {
+      return;
+    }
+    this.stopHeartbeat();
+    this.emit(TOTAL, message);
+  }
+
+  stopHeartbeat(): void {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = undefined;
+    }
+  }
+
+  private startHeartbeat(start: number, end: number, message: string): void {
+    const startedAt = Date.now();
+    this.heartbeat = setInterval(() => {
+      const elapsed = (Date.now() - startedAt) / 1000;
+      // Covers ~63% of the phase after 20s, ~86% after 40s
+      const fraction = 1 - Math.exp(-elapsed / 20);
+      this.emit(start + (end - start) * fraction * 0.95, `${message} (${Math.round(elapsed)}s)`);
+    }, HEARTBEAT_MS);
+    this.heartbeat.unref();
+  }
+
+  private emit(progress: number, message: string): void {
+    const value = Math.round(Math.max(progress, this.last + 0.01) * 100) / 100;
+    if (value > TOTAL || value <= this.last) {
+      return;
+    }
+    this.last = value;
+    this.send({
+      method: 'notifications/progress',
+      params: { progressToken: this.progressToken!, progress: value, total: TOTAL, message },
+    }).catch(err => {
+      console.error('Failed to send progress notification:', err);
+    });
+  }
+}
@@ -0,0 +1,98 @@
+// Classify provider failures so callers can tell transient errors from permanent ones
+
+/**
+ * A non-2xx response from a provider API
+ */
+export class ProviderHttpError extends Error {
+  constructor(
+    message: string,
+    readonly status: number,
+    // Delay the server asked for via Retry-After or a RetryInfo detail
+    readonly retryAfterMs?: number,
+    // Parsed JSON error body, for provider-specific details
+    readonly body?: any
+  ) {
+    super(message);
+    this.name = 'ProviderHttpError';
+  }
+}
+
+/**
+ * Build a ProviderHttpError from a non-OK response. JSON error bodies
+ * ({ error: { message } }, as returned by Gemini and OpenRouter) are reduced
+ * to their message; anything else is included as text.
+ */
+export async function providerErrorFromResponse(label: string, response: { status: number; headers: { get(name: string): string | null }; text(): Promise<string> }): Promise<ProviderHttpError> {
+  const text = await response.text().catch(() => '');
+  let body: any;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    body = undefined;
+  }
+
+  const detail = body?.error?.message || (typeof body?.error === 'string' ? body.error : undefined) || text.trim() || 'no response body';
+  const retryAfterMs = parseRetryAfter(response.headers.get('retry-after')) ?? parseRetryInfo(body);
+  return new ProviderHttpError(`${label} API error: ${response.status} - ${detail}`, response.status, retryAfterMs, body);
+}
+
+/**
+ * Retry-After is either a number of seconds or an HTTP date
+ */
+export function parseRetryAfter(value: string | null | undefined): number | undefined {
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Google APIs put the suggested delay in a google.rpc.RetryInfo error detail, e.g. { retryDelay: "12s" }
+ */
+function parseRetryInfo(body: any): number | undefined {
+  const details = body?.error?.details;
+  if (!Array.isArray(details)) {
+    return undefined;
+  }
+  const info = details.find((d: any) => typeof d?.['@type'] === 'string' && d['@type'].endsWith('google.rpc.RetryInfo'));
+  const match = typeof info?.retryDelay === 'string' ? info.retryDelay.match(/^([\d.]+)s$/) : null;
+  return match ? parseFloat(match[1]) * 1000 : undefined;
+}
+
+// Socket-level failures worth trying again (or on another provider)
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'UND_ERR_SOCKET',
+]);
+
+export function isRetryableStatus(status: number): boolean {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * True for 408/429/5xx responses and network failures; false for cancellation,
+ * client errors and anything else that would fail the same way again
+ */
+export function isRetryableError(error: any): boolean {
+  if (!error || error.name === 'AbortError') {
+    return false;
+  }
+  if (error instanceof ProviderHttpError) {
+    return isRetryableStatus(error.status);
+  }
+  // node-fetch wraps socket errors in a FetchError of type 'system'
+  return RETRYABLE_NETWORK_CODES.has(error.code) || RETRYABLE_NETWORK_CODES.has(error.errno);
+}
@@ -0,0 +1,170 @@
+// Token-bucket rate limiting with a concurrency cap and a fair (FIFO) wait queue
+
+export interface RateLimiterOptions {
+  // Tokens added per minute; unset means no rate limit
+  requestsPerMinute?: number;
+  // Bucket size: how many requests may start back to back (default 1, i.e. evenly spaced)
+  burst?: number;
+  // Requests in flight at once; unset means no cap
+  maxConcurrent?: number;
+  // How long a request may wait in the queue before it fails
+  queueTimeoutMs: number;
+}
+
+export interface AcquireOptions {
+  // Tokens the request uses, e.g. one per upstream call it will make
+  cost?: number;
+  signal?: AbortSignal;
+  // Called when the request has to wait, and again whenever its place in the queue changes (1 = next)
+  onQueued?: (position: number, queueLength: number) => void;
+}
+
+interface Waiter {
+  cost: number;
+  position: number;
+  grant: () => void;
+  onQueued?: AcquireOptions['onQueued'];
+}
+
+/**
+ * Requests are let through in arrival order once a concurrency slot is free and
+ * the bucket holds enough tokens. A request at the head of the queue blocks the
+ * ones behind it, so a large request is never starved by small ones.
+ */
+export class RateLimiter {
+  private tokens: number;
+  private refilledAt: number;
+  private active = 0;
+  private queue: Waiter[] = [];
+  private timer?: NodeJS.Timeout;
+
+  constructor(private options: RateLimiterOptions) {
+    this.tokens = this.capacity;
+    this.refilledAt = Date.now();
+  }
+
+  get inFlight(): number {
+    return this.active;
+  }
+
+  get queued(): number {
+    return this.queue.length;
+  }
+
+  /**
+   * Wait for a slot. Resolves with a release function that must be called once
+   * the request is done; rejects when the queue timeout passes or the signal aborts.
+   */
+  acquire(options: AcquireOptions = {}): Promise<() => void> {
+    const { signal } = options;
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason ?? new Error('Generation cancelled'));
+    }
+
+    return new Promise((resolve, reject) => {
+      let timeout: NodeJS.Timeout | undefined;
+      const stopWaiting = () => {
+        clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const leave = () => {
+        stopWaiting();
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        this.drain();
+      };
+      const onAbort = () => {
+        leave();
+        reject(signal!.reason ?? new Error('Generation cancelled'));
+      };
+      const waiter: Waiter = {
+        // A request larger than the bucket could never start; let it empty the bucket instead
+        cost: Math.min(Math.max(options.cost ?? 1, 1), this.capacity),
+        position: 0,
+        onQueued: options.onQueued,
+        grant: () => {
+          stopWaiting();
+          resolve(this.releaser());
+        },
+      };
+
+      this.queue.push(waiter);
+      this.drain();
+      if (this.queue.includes(waiter)) {
+        signal?.addEventListener('abort', onAbort, { once: true });
+        timeout = setTimeout(() => {
+          const ahead = this.queue.indexOf(waiter);
+          leave();
+          reject(new Error(
+            `Timed out after ${Math.round(this.options.queueTimeoutMs / 1000)}s waiting in the request queue ` +
+            `(${ahead} request(s) ahead, ${this.describeLimits()})`
+          ));
+        }, this.options.queueTimeoutMs);
+      }
+    });
+  }
+
+  describeLimits(): string {
+    const { requestsPerMinute, maxConcurrent } = this.options;
+    return [
+      requestsPerMinute ? `${requestsPerMinute} requests/minute` : '',
+      maxConcurrent ? `${maxConcurrent} concurrent` : '',
+    ].filter(Boolean).join(', ') || 'unlimited';
+  }
+
+  private get capacity(): number {
+    return this.options.requestsPerMinute ? Math.max(this.options.burst ?? 1, 1) : Infinity;
+  }
+
+  private releaser(): () => void {
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        this.active--;
+        this.drain();
+      }
+    };
+  }
+
+  /**
+   * Start as many requests from the head of the queue as the limits allow, then
+   * schedule the next check for when the head request will have enough tokens.
+   */
+  private drain(): void {
+    clearTimeout(this.timer);
+    this.timer = undefined;
+    this.refill();
+
+    while (this.queue.length > 0) {
+      const head = this.queue[0];
+      if (this.options.maxConcurrent && this.active >= this.options.maxConcurrent) {
+        break;
+      }
+      if (this.tokens < head.cost) {
+        const perMs = this.options.requestsPerMinute! / 60_000;
+        this.timer = setTimeout(() => this.drain(), Math.ceil((head.cost - this.tokens) / perMs));
+        break;
+      }
+      this.queue.shift();
+      this.tokens -= head.cost;
+      this.active++;
+      head.grant();
+    }
+
+    this.queue.forEach((waiter, index) => {
+      if (waiter.position !== index + 1) {
+        waiter.position = index + 1;
+        waiter.onQueued?.(waiter.position, this.queue.length);
+      }
+    });
+  }
+
+  private refill(): void {
+    if (!this.options.requestsPerMinute) {
+      return;
+    }
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.refilledAt) * this.options.requestsPerMinute) / 60_000);
+    this.refilledAt = now;
+  }
+}
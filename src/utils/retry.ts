@@ -0,0 +1,112 @@
+// Shared retry policy for provider HTTP calls: exponential backoff with jitter
+import { isRetryableError, ProviderHttpError } from './provider-errors.js';
+import { throwIfCancelled } from '../utils.js';
+
+export interface RetryPolicy {
+  // Total tries including the first one
+  max_attempts: number;
+  // Backoff before the first retry; doubles on each further retry
+  initial_delay_ms: number;
+  max_delay_ms: number;
+  // Give up rather than wait past this much time since the first try
+  time_budget_ms: number;
+}
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  max_attempts: 3,
+  initial_delay_ms: 1000,
+  max_delay_ms: 20000,
+  time_budget_ms: 120000,
+};
+
+// For calls that should fail fast, such as health probes
+export const SINGLE_ATTEMPT_POLICY: RetryPolicy = { ...DEFAULT_RETRY_POLICY, max_attempts: 1 };
+
+export function resolveRetryPolicy(overrides: Partial<RetryPolicy> = {}): RetryPolicy {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...overrides };
+  policy.max_attempts = Math.max(1, Math.floor(policy.max_attempts));
+  return policy;
+}
+
+export interface RetryOptions {
+  signal?: AbortSignal;
+  // Called before each wait; attempt is the 1-based number of the try that failed
+  onRetry?: (error: any, attempt: number, delayMs: number) => void;
+}
+
+/**
+ * Delay before the retry that follows `attempt`. A server-requested delay
+ * (Retry-After, RetryInfo) is used as-is; otherwise exponential backoff with
+ * "equal jitter": half the backoff is fixed, half random.
+ */
+export function retryDelay(policy: RetryPolicy, attempt: number, error?: any): number {
+  if (error instanceof ProviderHttpError && error.retryAfterMs !== undefined) {
+    return error.retryAfterMs;
+  }
+  const backoff = Math.min(policy.max_delay_ms, policy.initial_delay_ms * 2 ** (attempt - 1));
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+/**
+ * Run an operation, retrying 408/429/5xx responses and network errors until it
+ * succeeds, max_attempts is reached or the next wait would exceed the time budget.
+ * The last error is rethrown.
+ */
+export async function withRetry<T>(
+  policy: RetryPolicy,
+  operation: (attempt: number) => Promise<T>,
+  options: RetryOptions = {}
+): Promise<T> {
+  const startedAt = Date.now();
+  for (let attempt = 1; ; attempt++) {
+    throwIfCancelled(options.signal);
+    try {
+      return await operation(attempt);
+    } catch (error: any) {
+      if (options.signal?.aborted || !isRetryableError(error) || attempt >= policy.max_attempts) {
+        throw error;
+      }
+      const delay = retryDelay(policy, attempt, error);
+      if (Date.now() - startedAt + delay > policy.time_budget_ms) {
+        throw error;
+      }
+      options.onRetry?.(error, attempt, delay);
+      await sleep(delay, options.signal);
+    }
+  }
+}
+
+/**
+ * Wait, rejecting early if the signal aborts
+ */
+export function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal!.reason ?? new Error('Generation cancelled'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Settle with the promise, or reject early if the signal aborts. The work
+ * behind the promise carries on, e.g. for other callers sharing it.
+ */
+export function abortable<T>(promise: Promise<T>, signal?: AbortSignal): Promise<T> {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(signal.reason ?? new Error('Generation cancelled'));
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason ?? new Error('Generation cancelled'));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
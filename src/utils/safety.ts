@@ -0,0 +1,142 @@
+// Gemini safety settings, and the safety blocks Gemini and OpenRouter report
+import { SafetySetting, SafetyBlock, SafetyCategory } from '../types.js';
+import { ProviderHttpError } from './provider-errors.js';
+
+export const SAFETY_CATEGORIES = ['harassment', 'hate_speech', 'sexually_explicit', 'dangerous_content', 'civic_integrity'];
+export const SAFETY_THRESHOLDS = ['block_none', 'block_only_high', 'block_medium_and_above', 'block_low_and_above', 'off'];
+
+// Finish reasons for a candidate withheld by a safety or content policy filter
+const BLOCKING_FINISH_REASONS = new Set([
+  'SAFETY',
+  'PROHIBITED_CONTENT',
+  'BLOCKLIST',
+  'SPII',
+  'IMAGE_SAFETY',
+  'IMAGE_PROHIBITED_CONTENT',
+]);
+
+/**
+ * Map safety_settings onto Gemini safetySettings. Short lowercase names
+ * ("hate_speech", "block_only_high") and the API's own enum names are both accepted.
+ */
+export function toGeminiSafetySettings(settings?: SafetySetting[]): any[] | undefined {
+  if (!settings || settings.length === 0) {
+    return undefined;
+  }
+  return settings.map(({ category, threshold }) => {
+    const name = String(category || '').toUpperCase().replace(/^HARM_CATEGORY_/, '');
+    if (!SAFETY_CATEGORIES.includes(name.toLowerCase())) {
+      throw new Error(`Unknown safety category "${category}". Use one of: ${SAFETY_CATEGORIES.join(', ')}`);
+    }
+    const level = String(threshold || '').toUpperCase().replace(/^HARM_BLOCK_THRESHOLD_/, '');
+    if (!SAFETY_THRESHOLDS.includes(level.toLowerCase())) {
+      throw new Error(`Unknown safety threshold "${threshold}". Use one of: ${SAFETY_THRESHOLDS.join(', ')}`);
+    }
+    return { category: `HARM_CATEGORY_${name}`, threshold: level };
+  });
+}
+
+/**
+ * Find a safety block in a Gemini generateContent response: a rejected prompt
+ * (promptFeedback.blockReason), or no images because candidates finished with a
+ * safety finishReason. Returns undefined when nothing was blocked.
+ */
+export function parseGeminiSafetyBlock(data: any, imageCount: number): SafetyBlock | undefined {
+  const feedback = data?.promptFeedback;
+  if (feedback?.blockReason) {
+    return {
+      stage: 'prompt',
+      reason: feedback.blockReason,
+      categories: flaggedCategories(feedback.safetyRatings),
+      message: feedback.blockReasonMessage,
+    };
+  }
+
+  // Only a block when it cost the request all of its images
+  if (imageCount > 0) {
+    return undefined;
+  }
+  const candidates: any[] = Array.isArray(data?.candidates) ? data.candidates : [];
+  const blocked = candidates.find(candidate => BLOCKING_FINISH_REASONS.has(candidate.finishReason));
+  if (!blocked) {
+    return undefined;
+  }
+  return {
+    stage: 'output',
+    reason: blocked.finishReason,
+    categories: flaggedCategories(blocked.safetyRatings),
+    message: blocked.finishMessage,
+  };
+}
+
+/**
+ * Find a safety block in an OpenRouter chat completion that returned no images.
+ * OpenRouter normalizes the reason to "content_filter" and passes the upstream
+ * one through as native_finish_reason.
+ */
+export function parseOpenRouterSafetyBlock(choice: any, imageCount: number): SafetyBlock | undefined {
+  if (!choice || imageCount > 0) {
+    return undefined;
+  }
+  const native = typeof choice.native_finish_reason === 'string' ? choice.native_finish_reason.toUpperCase() : undefined;
+  if (choice.finish_reason !== 'content_filter' && !(native && BLOCKING_FINISH_REASONS.has(native))) {
+    return undefined;
+  }
+  return {
+    stage: 'output',
+    reason: native || choice.finish_reason,
+    categories: [],
+    message: typeof choice.message?.content === 'string' && choice.message.content ? choice.message.content : undefined,
+  };
+}
+
+/**
+ * OpenRouter rejects flagged input with a 403 whose error metadata lists the
+ * moderation reasons, e.g. { reasons: ["violence"], flagged_input: "..." }
+ */
+export function parseOpenRouterModerationError(error: unknown): SafetyBlock | undefined {
+  if (!(error instanceof ProviderHttpError) || error.status !== 403) {
+    return undefined;
+  }
+  const metadata = error.body?.error?.metadata;
+  if (!metadata || !Array.isArray(metadata.reasons)) {
+    return undefined;
+  }
+  return {
+    stage: 'prompt',
+    reason: 'moderation',
+    categories: metadata.reasons.map((reason: any) => ({ category: String(reason), blocked: true })),
+    message: typeof metadata.flagged_input === 'string' ? `Flagged input: ${metadata.flagged_input}` : undefined,
+  };
+}
+
+/**
+ * One-line summary of a block for the result's error field
+ */
+export function describeSafetyBlock(label: string, block: SafetyBlock): string {
+  const what = block.stage === 'prompt' ? 'Prompt blocked' : 'Output blocked';
+  const categories = block.categories.map(c => c.category).join(', ');
+  return `${what} by ${label} safety filters (${block.reason})${categories ? `: ${categories}` : ''}`;
+}
+
+/**
+ * Ratings that caused the block, or failing that every rating above LOW
+ */
+function flaggedCategories(ratings: any): SafetyCategory[] {
+  if (!Array.isArray(ratings)) {
+    return [];
+  }
+  const toCategory = (rating: any): SafetyCategory => ({
+    category: rating.category,
+    probability: rating.probability,
+    ...(rating.severity ? { severity: rating.severity } : {}),
+    ...(rating.blocked ? { blocked: true } : {}),
+  });
+  const blocked = ratings.filter(rating => rating.blocked);
+  if (blocked.length > 0) {
+    return blocked.map(toCategory);
+  }
+  return ratings
+    .filter(rating => rating.probability === 'MEDIUM' || rating.probability === 'HIGH')
+    .map(toCategory);
+}
@@ -0,0 +1,62 @@
+// Shared pass/fail bookkeeping and local stand-in servers for the offline test scripts
+import http from 'http';
+
+/**
+ * check(ok, label) prints one result line; finish(name) prints the summary
+ * and exits non-zero when any check failed
+ */
+export function createChecks() {
+  const failures = [];
+  const check = (ok, label) => {
+    console.log(`${ok ? '✅' : '❌'} ${label}`);
+    if (!ok) failures.push(label);
+  };
+  const finish = (name) => {
+    console.log();
+    if (failures.length === 0) {
+      console.log(`🎉 ${name} tests passed`);
+    } else {
+      console.log(`⚠️ ${failures.length} ${name} test(s) failed`);
+      process.exit(1);
+    }
+  };
+  return { check, finish };
+}
+
+/**
+ * Run a test's main function; an uncaught error fails the script after cleanup
+ */
+export function runTest(main, cleanup = () => {}) {
+  main().catch((error) => {
+    console.error(error);
+    cleanup();
+    process.exit(1);
+  });
+}
+
+/**
+ * Read a request body into a Buffer
+ */
+export async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Start a stand-in HTTP server on a free loopback port. Resolves to
+ * { server, base, close }, where base is http://127.0.0.1:<port> and close()
+ * also drops open keep-alive and hanging connections
+ */
+export async function startServer(handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    server,
+    base: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      server.close();
+    },
+  };
+}
@@ -18,7 +18,7 @@ const testSuites = [
   },
   {
     name: 'Parameter Tests',
-    tests: ['test-all-parameters.js', 'test-aspect-ratio.js', 'test-final.js']
+    tests: ['test-all-parameters.js', 'test-aspect-ratio.js', 'test-final.js', 'test-edit-image.js', 'test-provider-registry.js', 'test-failover.js', 'test-retry.js', 'test-vertex.js', 'test-openai-compatible.js', 'test-placeholder.js', 'test-safety.js', 'test-response-parts.js', 'test-sample-count.js', 'test-provider-health.js', 'test-rate-limit.js', 'test-network.js', 'test-gemini-files.js', 'test-openrouter-routing.js', 'test-http-server.js', 'test-jobs.js', 'test-sessions.js', 'test-batch.js', 'test-image-content.js', 'test-generated-resources.js', 'test-prompts.js', 'test-progress.js', 'test-cancellation.js']
   },
   {
     name: 'Coverage Tests',
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+// Test batch_generate: concurrency bound, partial failure and per-session ordering (placeholder provider, no API keys)
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { mapWithConcurrency, serializeByKey } from '../dist/utils/concurrency.js';
+import { createChecks, runTest } from './harness.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  console.log('=== Batch Generation Test ===\n');
+
+  const { check, finish } = createChecks();
+
+  // At most `limit` workers in flight; a rejection does not stop the rest
+  let inFlight = 0;
+  let peak = 0;
+  const settled = await mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async (n) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await sleep(20);
+    inFlight--;
+    if (n === 3) {
+      throw new Error('item 3 failed');
+    }
+    return n * 10;
+  });
+  check(peak === 2, 'Concurrency bound respected');
+  check(settled.map(s => s.status === 'fulfilled' ? s.value : s.reason.message).join(',') === '10,20,item 3 failed,40,50,60', 'Results keep input order; a failure is isolated');
+
+  // Same key runs in call order, one at a time; other keys are not held up
+  const run = serializeByKey();
+  const log = [];
+  const task = (label, ms, fail) => async () => {
+    log.push(`start ${label}`);
+    await sleep(ms);
+    log.push(`end ${label}`);
+    if (fail) throw new Error(label);
+    return label;
+  };
+  const outcomes = await Promise.allSettled([
+    run('s', task('s1', 30, true)),
+    run('s', task('s2', 5)),
+    run('t', task('t1', 5)),
+    run(undefined, task('free', 5)),
+  ]);
+  check(log.indexOf('start s2') > log.indexOf('end s1'), 'Tasks with the same key run one after another');
+  check(log.indexOf('end t1') < log.indexOf('end s1') && log.indexOf('end free') < log.indexOf('end s1'), 'Other keys and keyless tasks run alongside');
+  check(outcomes[0].status === 'rejected' && outcomes[1].value === 's2', 'A failed task does not block the next one with its key');
+
+  // End to end over stdio with the placeholder provider
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'nanobanana-batch-'));
+  const env = Object.fromEntries(Object.entries(process.env).filter(([key]) => !/API_KEY|CREDENTIALS|BASE_URL/.test(key)));
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [path.join(__dirname, '..', 'dist', 'index.js')],
+    cwd,
+    env: { ...env, NANOBANANA_PLACEHOLDER: '1' },
+    stderr: 'ignore',
+  });
+  const client = new Client({ name: 'batch-test', version: '1.0.0' });
+  await client.connect(transport);
+
+  try {
+    const response = await client.callTool({
+      name: 'batch_generate',
+      arguments: {
+        concurrency: 4,
+        save_to_file: false,
+        items: [
+          // Slower than the later turns, which must still wait for it
+          { prompt: 'first turn', session_id: 'story', sample_count: 4, aspect_ratio: '16:9' },
+          { prompt: 'unknown provider', provider: 'no-such-provider' },
+          { prompt: 'second turn', session_id: 'story' },
+          { prompt: 'third turn', session_id: 'story' },
+          { prompt: 'standalone' },
+        ],
+      },
+    });
+    const body = JSON.parse(response.content[0].text);
+    check(body.summary.total === 5 && body.summary.succeeded === 4 && body.summary.failed === 1 && body.success === false, 'Summary counts a partial failure');
+    check(!body.items[1].success && /Unknown provider/.test(body.items[1].error) && body.items.filter(i => i.success).length === 4, 'Failing item reported; the others still generated');
+    check(body.summary.concurrency === 4, 'Requested concurrency reported');
+
+    const sessions = JSON.parse((await client.callTool({ name: 'list_sessions', arguments: {} })).content[0].text).sessions;
+    const story = sessions.find(s => s.session_id === 'story');
+    check(story?.history.map(t => t.prompt).join(',') === 'first turn,second turn,third turn', 'Items in one session run in batch order, each as the next turn');
+  } finally {
+    await client.close();
+    await fs.rm(cwd, { recursive: true, force: true });
+  }
+
+  finish('Batch generation');
+}
+
+runTest(main);
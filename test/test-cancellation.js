@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+// Test request cancellation: aborted provider calls and retry waits, and saveImages cleaning up after itself
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { GeminiProvider } from '../dist/providers/gemini-provider.js';
+import { saveImages, OUTPUT_DIR } from '../dist/utils.js';
+import { createChecks, runTest, startServer } from './harness.js';
+
+const png = (byte) => ({ type: 'base64', data: Buffer.alloc(64, byte).toString('base64'), format: 'png' });
+
+async function rejection(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function main() {
+  console.log('=== Cancellation Test ===\n');
+
+  // Provider requests that never answer, a provider that keeps asking for a retry,
+  // and an image download that stops halfway
+  const closed = [];
+  const { base, close } = await startServer((req, res) => {
+    req.on('close', () => closed.push(req.url));
+    if (req.url.includes('busy')) {
+      res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': '30' });
+      res.end(JSON.stringify({ error: { code: 503, message: 'Overloaded', status: 'UNAVAILABLE' } }));
+    } else if (req.url === '/partial.png') {
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': '100000' });
+      res.write(Buffer.alloc(1000));
+    }
+    // Anything else hangs until the client goes away
+  });
+
+  const { check, finish } = createChecks();
+  const cwd = process.cwd();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nanobanana-cancel-'));
+  const saved = async () => {
+    try {
+      return await fs.readdir(path.join(dir, OUTPUT_DIR));
+    } catch {
+      return [];
+    }
+  };
+  const originalError = console.error;
+
+  try {
+    process.env.GEMINI_API_KEY = 'test-key';
+
+    // An in-flight provider request is aborted and its connection closed
+    const hanging = new GeminiProvider({ base_url: `${base}/v1beta`, retry: { max_attempts: 1 } });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    const started = Date.now();
+    const result = await hanging.generateImage({ prompt: 'never answered' }, { signal: controller.signal });
+    check(result.cancelled === true && result.success === false && Date.now() - started < 2000, 'In-flight provider call cancelled promptly');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    check(closed.some(url => url.includes(':generateContent')), 'Provider HTTP connection closed on cancel');
+
+    // A retry backoff is cut short by the abort
+    const busy = new GeminiProvider({ base_url: `${base}/busy/v1beta`, retry: { max_attempts: 3 } });
+    const backoff = new AbortController();
+    setTimeout(() => backoff.abort(), 200);
+    const waitStarted = Date.now();
+    const waited = await busy.generateImage({ prompt: 'overloaded' }, { signal: backoff.signal });
+    check(waited.cancelled === true && Date.now() - waitStarted < 2000, 'Retry wait ends when the request is cancelled');
+
+    // Already cancelled: nothing is sent
+    const before = closed.length;
+    const early = await hanging.generateImage({ prompt: 'too late' }, { signal: AbortSignal.abort() });
+    check(early.cancelled === true && closed.length === before, 'Cancelled request never reaches the provider');
+
+    process.chdir(dir);
+    console.error = () => {};
+
+    // Cancelled between images: files already written are removed
+    const between = new AbortController();
+    const betweenError = await rejection(saveImages([png(1), png(2), png(3)], 'between', (index) => {
+      if (index === 2) between.abort();
+    }, between.signal));
+    check(betweenError && (await saved()).length === 0, 'Images saved before the cancel are removed');
+
+    // Cancelled during a download: the earlier image and any partial file are removed
+    const during = new AbortController();
+    const download = saveImages([png(1), { type: 'url', url: `${base}/partial.png` }], 'during', undefined, during.signal);
+    setTimeout(() => during.abort(), 150);
+    const duringError = await rejection(download);
+    check(duringError && (await saved()).length === 0, 'Cancelling mid-download leaves no files behind');
+
+    // Cancelled before starting: nothing is written
+    const noneError = await rejection(saveImages([png(1)], 'before', undefined, AbortSignal.abort()));
+    check(noneError && (await saved()).length === 0, 'Nothing written once already cancelled');
+
+    // Without a cancel a failed image is skipped and the rest kept
+    const kept = await saveImages([png(1), { type: 'url', url: `${base}/busy.png` }, png(3)], 'kept');
+    check(kept.length === 2 && (await saved()).length === 2, 'Failed image skipped when not cancelled');
+  } finally {
+    console.error = originalError;
+    process.chdir(cwd);
+    delete process.env.GEMINI_API_KEY;
+    close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  finish('Cancellation');
+}
+
+runTest(main);
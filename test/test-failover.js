@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+// Test auto-mode failover and the circuit breaker with stand-in providers (no API calls)
+import { ProviderRegistry } from '../dist/providers/registry.js';
+import { ProviderFailover } from '../dist/providers/failover.js';
+import { createChecks, runTest } from './harness.js';
+
+function fakeProvider(name, behaviour) {
+  const provider = {
+    name,
+    calls: 0,
+    isAvailable: () => true,
+    getModelInfo: () => name,
+    generateImage: async (args) => {
+      provider.calls++;
+      const outcome = behaviour(provider.calls);
+      if (outcome === 'ok') {
+        return { success: true, provider: name, model: 'test', prompt: args.prompt, images: [] };
+      }
+      return { success: false, provider: name, model: 'test', prompt: args.prompt, error: `HTTP ${outcome}`, status: outcome, retryable: outcome === 429 || outcome >= 500 };
+    }
+  };
+  return provider;
+}
+
+async function main() {
+  console.log('=== Provider Failover Test ===\n');
+
+  const { check, finish } = createChecks();
+
+  const flaky = fakeProvider('Flaky', () => 503);
+  const backup = fakeProvider('Backup', () => 'ok');
+  const strict = fakeProvider('Strict', () => 400);
+
+  const registry = new ProviderRegistry();
+  registry.register({ id: 'flaky', provider: flaky });
+  registry.register({ id: 'backup', provider: backup });
+  registry.register({ id: 'strict', provider: strict });
+  registry.setAutoOrder(['flaky', 'backup']);
+
+  const failover = new ProviderFailover(registry);
+  failover.configure({ failure_threshold: 2, cooldown_ms: 60000 });
+
+  const first = await failover.generate({ prompt: 'test' });
+  check(first.success && first.provider === 'Backup', 'Retryable failure falls through to the next provider');
+  check(first.attempts.map(a => `${a.provider}:${a.outcome}:${a.status || ''}`).join(',') === 'flaky:failed:503,backup:succeeded:',
+    'Every attempt is recorded with provider, outcome and status');
+  check(first.attempts.every(a => typeof a.latency_ms === 'number'), 'Attempts record latency');
+
+  await failover.generate({ prompt: 'test' });
+  check(failover.circuitState('flaky') === 'open', 'Circuit opens after repeated failures');
+
+  const callsBefore = flaky.calls;
+  const third = await failover.generate({ prompt: 'test' });
+  check(flaky.calls === callsBefore && third.attempts[0].outcome === 'skipped', 'Open circuit skips the provider in auto mode');
+
+  const explicit = await failover.generate({ prompt: 'test', provider: 'flaky' });
+  check(!explicit.success && explicit.attempts.length === 1, 'Explicit provider is tried once without failover');
+
+  registry.setAutoOrder(['strict', 'backup']);
+  const permanent = await failover.generate({ prompt: 'test' });
+  check(!permanent.success && permanent.attempts.length === 1, 'Non-retryable failure does not fail over');
+
+  finish('Failover');
+}
+
+runTest(main);
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+// Test Files API uploads of large reference images against a local Gemini stand-in
+import { randomBytes } from 'crypto';
+import { GeminiProvider } from '../dist/providers/gemini-provider.js';
+import { uploadBaseUrl } from '../dist/utils/gemini-files.js';
+import { createChecks, runTest, readBody, startServer } from './harness.js';
+
+const uploads = [];
+const requests = [];
+const gone = new Set();
+let nextFile = 0;
+// Delay before the upload session answers, to overlap concurrent requests
+let uploadDelayMs = 0;
+
+const fileParts = body => body.contents.flatMap(c => c.parts).filter(p => p.file_data);
+const inlineParts = body => body.contents.flatMap(c => c.parts).filter(p => p.inline_data);
+
+async function main() {
+  console.log('=== Gemini Files API Test ===\n');
+
+  const { base, close } = await startServer(async (req, res) => {
+    const body = await readBody(req);
+    if (req.url === '/upload/v1beta/files') {
+      uploads.push({ key: req.headers['x-goog-api-key'], length: Number(req.headers['x-goog-upload-header-content-length']), type: req.headers['x-goog-upload-header-content-type'] });
+      res.writeHead(200, { 'x-goog-upload-url': `${base}/upload-session/${++nextFile}` });
+      res.end();
+    } else if (req.url.startsWith('/upload-session/')) {
+      await new Promise(resolve => setTimeout(resolve, uploadDelayMs));
+      const id = req.url.split('/').pop();
+      // The third upload is still processing; the fourth expires within the reuse margin
+      const state = id === '3' ? 'PROCESSING' : 'ACTIVE';
+      const expirationTime = new Date(Date.now() + (id === '4' ? 30 * 60_000 : 48 * 3600_000)).toISOString();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ file: { name: `files/f${id}`, uri: `${base}/v1beta/files/f${id}`, mimeType: 'image/png', state, sizeBytes: String(body.length), expirationTime } }));
+    } else if (req.method === 'GET' && req.url.startsWith('/v1beta/files/')) {
+      const name = req.url.slice('/v1beta/'.length);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ name, uri: `${base}/v1beta/${name}`, mimeType: 'image/png', state: 'ACTIVE' }));
+    } else {
+      const request = JSON.parse(body.toString());
+      requests.push(request);
+      if (fileParts(request).some(p => gone.has(p.file_data.file_uri))) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { code: 403, message: 'You do not have permission to access the File f1 or it may not exist.', status: 'PERMISSION_DENIED' } }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ candidates: [{ content: { role: 'model', parts: [{ inlineData: { mimeType: 'image/png', data: 'AAAA' } }] }, finishReason: 'STOP' }] }));
+    }
+  });
+
+  const { check, finish } = createChecks();
+  const image = bytes => ({ base64: randomBytes(bytes).toString('base64'), mimeType: 'image/png' });
+
+  try {
+    process.env.GEMINI_API_KEY = 'test-key';
+    const provider = new GeminiProvider({ base_url: `${base}/v1beta`, retry: { max_attempts: 1 }, file_upload: { threshold_bytes: 4000, max_inline_bytes: 5000 } });
+
+    check(uploadBaseUrl('https://generativelanguage.googleapis.com/v1beta/') === 'https://generativelanguage.googleapis.com/upload/v1beta', 'Upload URL derived from the API base URL');
+
+    // Over the threshold: uploaded and referenced by URI; small images stay inline
+    const large = image(6000);
+    const small = image(500);
+    const messages = [];
+    const first = await provider.generateImage({ prompt: 'x', images: [large, small] }, { onProgress: (phase, message) => messages.push(message) });
+    check(first.success && uploads.length === 1 && uploads[0].length === 6000 && uploads[0].type === 'image/png' && uploads[0].key === 'test-key', 'Large reference uploaded with a resumable upload');
+    check(JSON.stringify(fileParts(requests[0])) === JSON.stringify([{ file_data: { mime_type: 'image/png', file_uri: `${base}/v1beta/files/f1` } }]) && inlineParts(requests[0]).length === 1, 'Request references the file; small image stays inline');
+    check(messages.some(m => /Uploading image 1\/1 \(0\.0 MB\) to the Gemini Files API/.test(m)), 'Upload reported as progress');
+
+    // Same bytes again: the cached file is reused
+    await provider.generateImage({ prompt: 'x', images: [large] });
+    check(uploads.length === 1 && fileParts(requests[1])[0].file_data.file_uri === `${base}/v1beta/files/f1`, 'Uploads cached by content hash');
+
+    // Under the threshold but over the inline budget together: the largest is uploaded
+    const medium = image(3000);
+    await provider.generateImage({ prompt: 'x', images: [image(2500), medium, image(1000)] });
+    check(uploads.length === 2 && uploads[1].length === 3000 && inlineParts(requests[2]).length === 2, 'Largest images uploaded until the inline total fits');
+
+    // A file still processing is polled until active
+    const processing = await provider.generateImage({ prompt: 'x', images: [image(4500)] });
+    check(processing.success && fileParts(requests[3])[0].file_data.file_uri === `${base}/v1beta/files/f3`, 'Processing upload waited on');
+
+    // A file close to expiry is uploaded again
+    const expiring = image(4500);
+    await provider.generateImage({ prompt: 'x', images: [expiring] });
+    await provider.generateImage({ prompt: 'x', images: [expiring] });
+    check(uploads.length === 5, 'Files near expiry are not reused');
+
+    // A file the API no longer has is uploaded again and the request retried once
+    gone.add(`${base}/v1beta/files/f1`);
+    requests.length = 0;
+    const retried = await provider.generateImage({ prompt: 'x', images: [large] });
+    check(retried.success && requests.length === 2 && uploads.length === 6 && fileParts(requests[1])[0].file_data.file_uri === `${base}/v1beta/files/f6`, 'Missing file re-uploaded and request retried');
+
+    // A caller that cancels does not abort an upload another request shares
+    uploadDelayMs = 200;
+    const shared = image(4500);
+    const controller = new AbortController();
+    const abandoned = provider.generateImage({ prompt: 'x', images: [shared] }, { signal: controller.signal });
+    const waiting = provider.generateImage({ prompt: 'x', images: [shared] });
+    setTimeout(() => controller.abort(), 50);
+    const [cancelled, completed] = await Promise.all([abandoned, waiting]);
+    uploadDelayMs = 0;
+    check(cancelled.cancelled && completed.success && uploads.length === 7, 'Cancelled caller stops waiting; the shared upload completes for the other');
+
+    // Disabled: everything is inlined
+    const inline = new GeminiProvider({ base_url: `${base}/v1beta`, retry: { max_attempts: 1 }, file_upload: { enabled: false } });
+    requests.length = 0;
+    await inline.generateImage({ prompt: 'x', images: [image(6000)] });
+    check(uploads.length === 7 && fileParts(requests[0]).length === 0, 'file_upload.enabled false keeps images inline');
+  } finally {
+    delete process.env.GEMINI_API_KEY;
+    close();
+  }
+
+  finish('Gemini Files API');
+}
+
+runTest(main);
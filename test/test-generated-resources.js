@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+// Test nanobanana://generations/{id}/{index} resources: listing, reading, URI errors and list_changed (placeholder provider, no API keys)
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { ResourceListChangedNotificationSchema, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { parseSavedFilename, buildGenerationUri, uriForSavedFile, listGeneratedResources } from '../dist/utils/generated-resources.js';
+import { createChecks, runTest } from './harness.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RESOURCE_NOT_FOUND = -32002;
+
+async function errorFor(promise) {
+  try {
+    await promise;
+    return {};
+  } catch (error) {
+    return error;
+  }
+}
+
+async function main() {
+  console.log('=== Generated Resources Test ===\n');
+
+  const { check, finish } = createChecks();
+
+  // Filenames written by saveImages map to a generation id and 1-based index
+  const parsed = parseSavedFilename('cat_2025-01-01T00-00-00-000Z_2.png');
+  check(parsed.id === 'cat_2025-01-01T00-00-00-000Z' && parsed.index === 2, 'Numbered file parsed into id and index');
+  const single = parseSavedFilename('cat_2025-01-01T00-00-00-000Z.jpg');
+  check(single.id === 'cat_2025-01-01T00-00-00-000Z' && single.index === 1, 'Unnumbered file is image 1');
+  const foreign = parseSavedFilename('holiday photo.webp');
+  check(foreign.id === 'holiday photo' && foreign.index === 1, 'Other files exposed as single-image generations');
+  check(buildGenerationUri('holiday photo', 1) === 'nanobanana://generations/holiday%20photo/1', 'Generation id encoded in the URI');
+  check(uriForSavedFile(path.join('generated_images', 'cat_2025-01-01T00-00-00-000Z_3.png')) === 'nanobanana://generations/cat_2025-01-01T00-00-00-000Z/3', 'Saved path mapped to its URI');
+
+  // A file that disappears between readdir and stat is skipped, not fatal
+  const listing = await fs.mkdtemp(path.join(os.tmpdir(), 'nanobanana-listing-'));
+  const originalCwd = process.cwd();
+  try {
+    await fs.mkdir(path.join(listing, 'generated_images'));
+    await fs.writeFile(path.join(listing, 'generated_images', 'kept_2025-01-01T00-00-00-000Z.png'), 'png');
+    await fs.symlink(path.join(listing, 'deleted.png'), path.join(listing, 'generated_images', 'gone_2025-01-01T00-00-00-000Z.png'));
+    process.chdir(listing);
+    const listed = await listGeneratedResources();
+    check(listed.length === 1 && listed[0].id === 'kept_2025-01-01T00-00-00-000Z', 'Vanished files skipped when listing');
+  } finally {
+    process.chdir(originalCwd);
+    await fs.rm(listing, { recursive: true, force: true });
+  }
+
+  // End to end over stdio with the placeholder provider
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'nanobanana-resources-'));
+  const env = Object.fromEntries(Object.entries(process.env).filter(([key]) => !/API_KEY|CREDENTIALS|BASE_URL/.test(key)));
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [path.join(__dirname, '..', 'dist', 'index.js')],
+    cwd,
+    env: { ...env, NANOBANANA_PLACEHOLDER: '1' },
+    stderr: 'ignore',
+  });
+  const client = new Client({ name: 'resources-test', version: '1.0.0' });
+  let changes = 0;
+  client.setNotificationHandler(ResourceListChangedNotificationSchema, () => {
+    changes++;
+  });
+  await client.connect(transport);
+
+  try {
+    const empty = await client.listResources();
+    check(empty.resources.length === 0, 'No resources before anything is saved');
+    const templates = await client.listResourceTemplates();
+    check(templates.resourceTemplates.some(t => t.uriTemplate === 'nanobanana://generations/{id}/{index}'), 'Generation URI template advertised');
+
+    await client.callTool({ name: 'generate_image', arguments: { prompt: 'two boats', sample_count: 2, save_to_file: true, filename: 'boats' } });
+    check(changes === 1, 'resources/list_changed sent after images are saved');
+
+    await client.callTool({ name: 'generate_image', arguments: { prompt: 'not saved', save_to_file: false } });
+    check(changes === 1, 'No notification when nothing is saved');
+
+    const { resources } = await client.listResources();
+    const uris = resources.map(r => r.uri).sort();
+    check(resources.length === 2 && uris.every(uri => /^nanobanana:\/\/generations\/boats_[^/]+\/[12]$/.test(uri)), 'Both saved images listed under one generation id');
+    check(uris[0].replace(/\/1$/, '') === uris[1].replace(/\/2$/, ''), 'Images of one generation share its id');
+
+    const { contents } = await client.readResource({ uri: uris[1] });
+    const saved = await fs.readdir(path.join(cwd, 'generated_images'));
+    const file = await fs.readFile(path.join(cwd, 'generated_images', saved.find(name => name.endsWith('_2.png'))));
+    check(contents.length === 1 && contents[0].uri === uris[1] && contents[0].mimeType === 'image/png' && contents[0].blob === file.toString('base64'), 'Reading a resource returns the saved image');
+
+    const outOfRange = uris[0].replace(/\/1$/, '/3');
+    const pastEnd = await errorFor(client.readResource({ uri: outOfRange }));
+    check(pastEnd.code === RESOURCE_NOT_FOUND && /Resource not found/.test(pastEnd.message), 'Index past the last image reported as resource not found (-32002)');
+    const unknown = await errorFor(client.readResource({ uri: 'nanobanana://generations/nope/1' }));
+    check(unknown.code === RESOURCE_NOT_FOUND, 'Unknown generation id reported as resource not found');
+    const noIndex = await errorFor(client.readResource({ uri: 'nanobanana://generations/boats' }));
+    check(noIndex.code === ErrorCode.InvalidParams && /Invalid resource URI/.test(noIndex.message), 'URI without an index rejected as InvalidParams');
+    const badIndex = await errorFor(client.readResource({ uri: uris[0].replace(/\/1$/, '/first') }));
+    check(badIndex.code === ErrorCode.InvalidParams, 'Non-numeric index rejected as InvalidParams');
+    const otherScheme = await errorFor(client.readResource({ uri: 'file:///etc/passwd' }));
+    check(otherScheme.code === ErrorCode.InvalidParams, 'Other URI schemes rejected as InvalidParams');
+  } finally {
+    await client.close();
+    await fs.rm(cwd, { recursive: true, force: true });
+  }
+
+  finish('Generated resources');
+}
+
+runTest(main);
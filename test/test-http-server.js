@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+// Test the HTTP transport: bearer auth, Host/Origin checks, session routing and /health
+import http from 'http';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { startHttpServer } from '../dist/http-server.js';
+import { createChecks, runTest } from './harness.js';
+
+const TOKEN = 'team-secret';
+
+function request(port, method, path, { headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers: { Host: `127.0.0.1:${port}`, ...headers } }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+// Streamable HTTP answers as JSON or as a single SSE event
+function rpcResult(response) {
+  const data = response.headers['content-type']?.startsWith('text/event-stream')
+    ? response.body.split('\n').find(line => line.startsWith('data: '))?.slice(6)
+    : response.body;
+  return data ? JSON.parse(data) : undefined;
+}
+
+async function main() {
+  console.log('=== HTTP Server Test ===\n');
+
+  const { check, finish } = createChecks();
+  const httpServer = await startHttpServer(
+    { transport: 'http', host: '127.0.0.1', port: 0, authToken: TOKEN },
+    () => new Server({ name: 'test', version: '1.0.0' }, { capabilities: {} })
+  );
+  const port = httpServer.address().port;
+  const mcpHeaders = (extra = {}) => ({
+    Authorization: `Bearer ${TOKEN}`,
+    'Content-Type': 'application/json',
+    Accept: 'application/json, text/event-stream',
+    ...extra
+  });
+  const initialize = (id) => request(port, 'POST', '/mcp', {
+    headers: mcpHeaders(),
+    body: { jsonrpc: '2.0', id, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } } }
+  });
+
+  try {
+    const health = await request(port, 'GET', '/health');
+    check(health.status === 200 && JSON.parse(health.body).status === 'ok', '/health answers without a token');
+
+    // Bearer auth
+    const missing = await request(port, 'POST', '/mcp', { body: {} });
+    check(missing.status === 401 && /Bearer/.test(missing.headers['www-authenticate'] || ''), 'Missing token rejected with 401');
+    const wrong = await request(port, 'POST', '/mcp', { headers: { Authorization: 'Bearer team-secreT' }, body: {} });
+    check(wrong.status === 401, 'Wrong token of the same length rejected');
+    const short = await request(port, 'POST', '/mcp', { headers: { Authorization: 'Bearer x' }, body: {} });
+    check(short.status === 401, 'Token of a different length rejected without a server error');
+
+    // DNS rebinding: the Host and Origin headers must name this server
+    const rebound = await request(port, 'POST', '/mcp', { headers: mcpHeaders({ Host: `attacker.example:${port}` }), body: {} });
+    check(rebound.status === 403, 'Foreign Host header rejected');
+    const crossOrigin = await request(port, 'POST', '/mcp', { headers: mcpHeaders({ Origin: 'http://attacker.example' }), body: {} });
+    check(crossOrigin.status === 403, 'Foreign Origin header rejected');
+    const local = await request(port, 'POST', '/mcp', { headers: mcpHeaders({ Host: `localhost:${port}`, Origin: `http://localhost:${port}` }), body: {} });
+    check(local.status === 400, 'Loopback Host and Origin accepted');
+
+    // Sessions: each initialize gets its own ID; requests are routed by mcp-session-id
+    const first = await initialize(1);
+    const second = await initialize(1);
+    const firstId = first.headers['mcp-session-id'];
+    const secondId = second.headers['mcp-session-id'];
+    check(first.status === 200 && rpcResult(first)?.result?.serverInfo?.name === 'test', 'Initialize answered');
+    check(firstId && secondId && firstId !== secondId, 'Each initialize opens a new session');
+
+    const ping = await request(port, 'POST', '/mcp', { headers: mcpHeaders({ 'mcp-session-id': secondId, 'mcp-protocol-version': '2025-06-18' }), body: { jsonrpc: '2.0', id: 7, method: 'ping' } });
+    check(ping.status === 200 && rpcResult(ping)?.id === 7, 'Request routed to its session');
+    const unknown = await request(port, 'POST', '/mcp', { headers: mcpHeaders({ 'mcp-session-id': 'no-such-session' }), body: { jsonrpc: '2.0', id: 8, method: 'ping' } });
+    check(unknown.status === 404, 'Unknown session ID rejected with 404');
+    const noSession = await request(port, 'POST', '/mcp', { headers: mcpHeaders(), body: { jsonrpc: '2.0', id: 9, method: 'ping' } });
+    check(noSession.status === 400, 'Non-initialize request without a session rejected');
+
+    const counted = JSON.parse((await request(port, 'GET', '/health')).body);
+    check(counted.sessions === 2, '/health reports open sessions');
+
+    const closed = await request(port, 'DELETE', '/mcp', { headers: mcpHeaders({ 'mcp-session-id': firstId, 'mcp-protocol-version': '2025-06-18' }) });
+    const afterClose = JSON.parse((await request(port, 'GET', '/health')).body);
+    check(closed.status === 200 && afterClose.sessions === 1, 'Closing a session removes it');
+  } finally {
+    httpServer.closeAllConnections();
+    httpServer.close();
+  }
+
+  // All interfaces: only the listed names and loopback are accepted
+  const shared = await startHttpServer({ transport: 'http', host: '0.0.0.0', port: 0, allowedHosts: ['build-box'] }, () => new Server({ name: 'test', version: '1.0.0' }, { capabilities: {} }));
+  const sharedPort = shared.address().port;
+  try {
+    const named = await request(sharedPort, 'POST', '/mcp', { headers: mcpHeaders({ Host: `build-box:${sharedPort}` }), body: {} });
+    const other = await request(sharedPort, 'POST', '/mcp', { headers: mcpHeaders({ Host: `other-box:${sharedPort}` }), body: {} });
+    const loopback = await request(sharedPort, 'POST', '/mcp', { headers: mcpHeaders(), body: {} });
+    check(named.status === 400 && other.status === 403 && loopback.status === 400, 'Allowed hosts honoured on an all-interface bind');
+  } finally {
+    shared.closeAllConnections();
+    shared.close();
+  }
+
+  finish('HTTP server');
+}
+
+runTest(main);
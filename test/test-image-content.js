@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+// Test inline image content: size cap from NANOBANANA_MAX_INLINE_BYTES and JPEG downscaling (no API calls)
+import { randomBytes } from 'crypto';
+import { Jimp } from 'jimp';
+import { toImageContent, getMaxInlineBytes, DEFAULT_MAX_INLINE_BYTES } from '../dist/utils/image-content.js';
+import { createChecks, runTest } from './harness.js';
+
+// Random pixels barely compress, so the PNG is far over any small cap
+async function noisyPng(width, height) {
+  const image = new Jimp({ width, height, color: 0x000000FF });
+  randomBytes(width * height * 4).copy(image.bitmap.data);
+  for (let i = 3; i < image.bitmap.data.length; i += 4) {
+    image.bitmap.data[i] = 255;
+  }
+  return image.getBuffer('image/png');
+}
+
+const asGenerated = (buffer) => ({ type: 'base64', data: `data:image/png;base64,${buffer.toString('base64')}`, format: 'png' });
+
+async function main() {
+  console.log('=== Inline Image Content Test ===\n');
+
+  const { check, finish } = createChecks();
+
+  check(getMaxInlineBytes() === DEFAULT_MAX_INLINE_BYTES, 'Default inline cap without NANOBANANA_MAX_INLINE_BYTES');
+  process.env.NANOBANANA_MAX_INLINE_BYTES = 'not-a-number';
+  check(getMaxInlineBytes() === DEFAULT_MAX_INLINE_BYTES, 'Invalid NANOBANANA_MAX_INLINE_BYTES ignored');
+  process.env.NANOBANANA_MAX_INLINE_BYTES = '200000';
+  check(getMaxInlineBytes() === 200000, 'NANOBANANA_MAX_INLINE_BYTES sets the cap');
+
+  // Small images pass through byte for byte
+  const small = await new Jimp({ width: 32, height: 32, color: 0x3366FFFF }).getBuffer('image/png');
+  const passed = await toImageContent(asGenerated(small));
+  check(passed.block?.mimeType === 'image/png' && passed.block.data === small.toString('base64') && !passed.downscaled, 'Small image passes through unchanged');
+
+  // Oversized images come back as a smaller JPEG under the cap, aspect ratio kept
+  const large = await noisyPng(1200, 600);
+  check(large.toString('base64').length > 200000, 'Test image is over the cap');
+  const shrunk = await toImageContent(asGenerated(large));
+  const decoded = shrunk.block && await Jimp.read(Buffer.from(shrunk.block.data, 'base64'));
+  check(shrunk.downscaled === true && shrunk.block.mimeType === 'image/jpeg' && shrunk.block.data.length <= 200000, 'Oversized PNG re-encoded as a JPEG under NANOBANANA_MAX_INLINE_BYTES');
+  check(decoded && decoded.width < 1200 && Math.abs(decoded.width / decoded.height - 2) < 0.02, 'Downscaled image keeps its aspect ratio');
+
+  // A cap nothing fits under is reported rather than thrown
+  const impossible = await toImageContent(asGenerated(large), 100);
+  check(!impossible.block && /exceeds inline limit/.test(impossible.error || ''), 'Unreachable cap reported as an error');
+  const broken = await toImageContent({ type: 'base64', data: 'data:image/png;base64,AAAA' }, 1);
+  check(!broken.block && typeof broken.error === 'string', 'Undecodable image reported as an error');
+
+  delete process.env.NANOBANANA_MAX_INLINE_BYTES;
+  finish('Inline image content');
+}
+
+runTest(main);
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+// Test the job queue: persistence, atomic job files, resume after a restart and cancellation
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JobManager } from '../dist/jobs.js';
+import { createChecks, runTest } from './harness.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await predicate())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for jobs');
+    }
+    await sleep(10);
+  }
+}
+
+async function readJob(dir, id) {
+  return JSON.parse(await fs.readFile(path.join(dir, `${id}.json`), 'utf8'));
+}
+
+// A runner that finishes when released, or reports cancellation when aborted
+function controlledRunner() {
+  const pending = [];
+  const runner = (args, signal) => new Promise(resolve => {
+    const entry = { args, release: () => resolve({ success: true, provider: 'Stub', model: 'stub-model', message: 'done', saved_files: [`${args.prompt}.png`], images: [{}] }) };
+    signal.addEventListener('abort', () => resolve({ success: false, cancelled: true, provider: 'Stub', error: 'Generation cancelled' }));
+    pending.push(entry);
+  });
+  return { runner, pending };
+}
+
+async function main() {
+  console.log('=== Job Queue Test ===\n');
+
+  const { check, finish } = createChecks();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nanobanana-jobs-'));
+
+  try {
+    // Concurrency bound and persisted state transitions
+    const { runner, pending } = controlledRunner();
+    const jobs = new JobManager(dir, 1);
+    await jobs.start(runner);
+    const first = await jobs.submit({ prompt: 'first' });
+    const second = await jobs.submit({ prompt: 'second' });
+    await waitFor(() => pending.length === 1);
+    check(first.status === 'running' && second.status === 'queued' && jobs.queuePosition(second.id) === 1, 'Concurrency limit keeps later jobs queued');
+    check(first.args.save_to_file === true, 'Jobs always save their output');
+    check((await readJob(dir, second.id)).status === 'queued', 'Queued job persisted');
+
+    pending[0].release();
+    await waitFor(() => first.status === 'succeeded' && pending.length === 2);
+    const stored = await readJob(dir, first.id);
+    check(stored.status === 'succeeded' && stored.provider === 'Stub' && stored.saved_files[0] === 'first.png' && typeof stored.run_ms === 'number', 'Finished job persisted with provider, files and timings');
+    const leftovers = (await fs.readdir(dir)).filter(name => name.endsWith('.tmp'));
+    check(leftovers.length === 0, 'Job files written through a temporary file and renamed');
+
+    await jobs.cancel(second.id);
+    await waitFor(async () => (await readJob(dir, second.id)).status === 'cancelled');
+    check(second.status === 'cancelled' && second.error === 'Job cancelled', 'Cancelling a running job persists the cancellation');
+
+    // Restart: pending jobs are queued again, except session jobs whose history was in memory
+    const restartDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nanobanana-jobs-'));
+    const created = Date.now();
+    const write = (job) => fs.writeFile(path.join(restartDir, `${job.id}.json`), JSON.stringify(job));
+    await write({ id: 'was-running', status: 'running', args: { prompt: 'interrupted' }, created_at: new Date(created).toISOString(), started_at: new Date(created + 5).toISOString() });
+    await write({ id: 'was-queued', status: 'queued', args: { prompt: 'waiting' }, created_at: new Date(created + 10).toISOString() });
+    await write({ id: 'in-session', status: 'queued', args: { prompt: 'refine', session_id: 'chat' }, created_at: new Date(created + 20).toISOString() });
+    await write({ id: 'done', status: 'succeeded', args: { prompt: 'old' }, created_at: new Date(created - 1000).toISOString() });
+    // A crash between write and rename leaves only the temporary file behind
+    await fs.writeFile(path.join(restartDir, 'half-written.json.tmp'), '{"id": "half-');
+    await fs.writeFile(path.join(restartDir, 'corrupt.json'), '{"id": ');
+
+    const resumed = controlledRunner();
+    const restarted = new JobManager(restartDir, 2);
+    await restarted.start(resumed.runner);
+    await waitFor(() => resumed.pending.length === 2);
+    check(resumed.pending.map(p => p.args.prompt).join(',') === 'interrupted,waiting', 'Pending jobs resumed in creation order');
+    check(restarted.get('was-running').resumed === 1 && restarted.get('was-running').status === 'running', 'Resumed jobs counted and run again');
+    const session = restarted.get('in-session');
+    check(session.status === 'failed' && /session chat was lost/.test(session.error) && (await readJob(restartDir, 'in-session')).status === 'failed', 'Session jobs fail with a clear error instead of running without history');
+    check(restarted.get('done').status === 'succeeded' && restarted.list().length === 4, 'Finished jobs stay queryable; unreadable and temporary files skipped');
+
+    resumed.pending.forEach(p => p.release());
+    await waitFor(async () => (await readJob(restartDir, 'was-queued')).status === 'succeeded' && (await readJob(restartDir, 'was-running')).status === 'succeeded');
+    await fs.rm(restartDir, { recursive: true, force: true });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  finish('Job queue');
+}
+
+runTest(main);
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+// Test configurable base URLs, proxy selection and CA bundle loading against a local stand-in and proxy
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Jimp } from 'jimp';
+import { configureNetwork, proxyFor } from '../dist/utils/http.js';
+import { GeminiProvider } from '../dist/providers/gemini-provider.js';
+import { createChecks, runTest, startServer } from './harness.js';
+
+async function createImage(color) {
+  const image = new Jimp({ width: 16, height: 16, color });
+  return image.getBuffer('image/png');
+}
+
+async function main() {
+  console.log('=== Network Test ===\n');
+
+  const { check, finish } = createChecks();
+
+  // Proxy selection
+  configureNetwork({}, {
+    HTTPS_PROXY: 'http://secure-proxy:3128',
+    http_proxy: 'http://plain-proxy:3128',
+    NO_PROXY: 'localhost, .internal.example, 10.0.0.5:8443, [::1]:9000'
+  });
+  check(proxyFor('https://generativelanguage.googleapis.com/v1beta') === 'http://secure-proxy:3128', 'HTTPS_PROXY used for https URLs');
+  check(proxyFor('http://images.example/a.png') === 'http://plain-proxy:3128', 'Lower-case http_proxy used for http URLs');
+  check(proxyFor('http://localhost:8080/') === undefined && proxyFor('https://api.internal.example/') === undefined && proxyFor('https://internal.example/') === undefined, 'NO_PROXY hosts and subdomains bypass the proxy');
+  check(proxyFor('https://10.0.0.5:8443/') === undefined && proxyFor('https://10.0.0.5/') !== undefined, 'NO_PROXY ports respected');
+  check(proxyFor('http://[::1]:9000/') === undefined && proxyFor('https://notinternal.example/') !== undefined, 'IPv6 entries and suffix boundaries handled');
+  configureNetwork({ proxy: 'http://config-proxy:8080', no_proxy: ['*'] }, { HTTPS_PROXY: 'http://secure-proxy:3128' });
+  check(proxyFor('https://openrouter.ai/api/v1') === undefined, 'Config file settings take precedence; "*" disables the proxy');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nanobanana-network-'));
+  const errorFor = (config) => {
+    try {
+      configureNetwork(config, {});
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+  await fs.writeFile(path.join(dir, 'not-a-bundle.txt'), 'hello');
+  check(/Failed to read CA bundle/.test(errorFor({ ca_file: path.join(dir, 'missing.pem') }) || ''), 'Missing CA bundle reported');
+  check(/contains no PEM certificates/.test(errorFor({ ca_file: path.join(dir, 'not-a-bundle.txt') }) || ''), 'Invalid CA bundle reported');
+
+  // A Gemini stand-in reached through a forwarding proxy
+  const png = await createImage(0x00FF00FF);
+  const seen = [];
+  const server = await startServer((req, res) => {
+    seen.push(req.url);
+    if (req.url === '/ref.png') {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(png);
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ candidates: [{ content: { role: 'model', parts: [{ inlineData: { mimeType: 'image/png', data: png.toString('base64') } }] }, finishReason: 'STOP' }] }));
+  });
+  const proxied = [];
+  const proxy = await startServer((req, res) => {
+    proxied.push(req.url);
+    const upstream = http.request(req.url, { method: req.method, headers: req.headers }, response => {
+      res.writeHead(response.statusCode, response.headers);
+      response.pipe(res);
+    });
+    req.pipe(upstream);
+  });
+  const base = server.base;
+
+  try {
+    process.env.GEMINI_API_KEY = 'test-key';
+    const provider = new GeminiProvider({ base_url: `${base}/v1beta/`, retry: { max_attempts: 1 } });
+
+    configureNetwork({ proxy: proxy.base }, {});
+    const result = await provider.generateImage({ prompt: 'green', images: [{ url: `${base}/ref.png` }] });
+    check(result.success && result.images?.length === 1, 'Generation through the proxy succeeds');
+    check(seen.includes('/v1beta/models/gemini-2.5-flash-image-preview:generateContent'), 'Configured base URL used');
+    check(proxied.includes(`${base}/ref.png`) && proxied.includes(`${base}/v1beta/models/gemini-2.5-flash-image-preview:generateContent`), 'Provider call and reference download both proxied');
+
+    proxied.length = 0;
+    configureNetwork({ proxy: proxy.base, no_proxy: '127.0.0.1' }, {});
+    const direct = await provider.generateImage({ prompt: 'green' });
+    check(direct.success && proxied.length === 0, 'NO_PROXY host reached directly');
+  } finally {
+    delete process.env.GEMINI_API_KEY;
+    server.close();
+    proxy.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  finish('Network');
+}
+
+runTest(main);
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+// Test the OpenAI-compatible provider against a local stand-in for the Images API
+import { Jimp } from 'jimp';
+import { OpenAICompatibleProvider } from '../dist/providers/openai-compatible-provider.js';
+import { ProviderRegistry, registerBuiltinProviders } from '../dist/providers/registry.js';
+import { createChecks, runTest, readBody, startServer } from './harness.js';
+
+const requests = [];
+
+async function main() {
+  console.log('=== OpenAI-Compatible Provider Test ===\n');
+
+  const png = (await new Jimp({ width: 32, height: 32, color: 0x3366FFFF }).getBuffer('image/png')).toString('base64');
+
+  const { base: origin, close } = await startServer(async (req, res) => {
+    const body = await readBody(req);
+    const record = { url: req.url, auth: req.headers.authorization };
+    if (req.url === '/v1/images/edits') {
+      // Parse the multipart body with the built-in fetch Request
+      const form = await new Request('http://stand-in/', { method: 'POST', headers: req.headers, body }).formData();
+      record.fields = Object.fromEntries([...form.entries()].filter(([, v]) => typeof v === 'string'));
+      record.files = [...form.entries()].filter(([, v]) => typeof v !== 'string').map(([k, v]) => ({ field: k, type: v.type, size: v.size }));
+    } else {
+      record.fields = JSON.parse(body.toString() || '{}');
+    }
+    requests.push(record);
+
+    const n = Number(record.fields.n || 1);
+    const data = record.fields.model === 'url-model'
+      ? [{ url: 'https://images.example.test/1.png' }]
+      : Array.from({ length: n }, () => ({ b64_json: png }));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ created: 0, data, usage: { input_tokens: 5, output_tokens: 7, total_tokens: 12 } }));
+  });
+  const base = `${origin}/v1`;
+
+  const { check, finish } = createChecks();
+
+  try {
+    const provider = new OpenAICompatibleProvider({ base_url: base, api_key: 'sk-test', model: 'test-image-model' });
+    check(provider.isAvailable(), 'Available with a base URL');
+
+    const generated = await provider.generateImage({ prompt: 'a blue square', sample_count: 2, aspect_ratio: '16:9' });
+    const gen = requests[0];
+    check(gen.url === '/v1/images/generations' && gen.auth === 'Bearer sk-test', 'Text-to-image uses /images/generations with the key');
+    check(gen.fields.n === 2 && gen.fields.size === '1024x576' && gen.fields.model === 'test-image-model', 'Maps sample_count to n and aspect_ratio to size');
+    check(generated.success && generated.images.length === 2 && generated.images[0].data.startsWith('data:image/png;base64,'), 'Parses b64_json images');
+    check(generated.usage?.tokens === 12, 'Reports token usage');
+
+    const edited = await provider.generateImage({ prompt: 'make it red', images: [{ base64: png, mimeType: 'image/png' }] });
+    const edit = requests[1];
+    check(edit.url === '/v1/images/edits' && edit.files.length === 1 && edit.files[0].field === 'image' && edit.files[0].type === 'image/png',
+      'Reference images are sent to /images/edits as multipart files');
+    check(edited.success && edit.fields.prompt === 'make it red', 'Edit request carries the prompt');
+
+    const snapped = new OpenAICompatibleProvider({ base_url: base, api_key_env: 'NANOBANANA_TEST_UNSET_KEY', sizes: ['1024x1024', '1536x1024', '1024x1536'] });
+    await snapped.generateImage({ prompt: 'wide', aspect_ratio: '16:9' });
+    check(requests[2].fields.size === '1536x1024' && requests[2].auth === undefined, 'Snaps to the closest configured size; no key is sent when none is set');
+
+    const urlResult = await provider.generateImage({ prompt: 'by url', model: 'url-model' });
+    check(urlResult.success && urlResult.images[0].type === 'url' && urlResult.images[0].url === 'https://images.example.test/1.png', 'Parses url responses');
+
+    // api.openai.com only accepts three sizes, so a default setup snaps to them
+    const openai = new OpenAICompatibleProvider({ api_key: 'sk-test' });
+    check(openai['resolveSize']('16:9') === '1536x1024' && openai['resolveSize']('9:16') === '1024x1536' && openai['resolveSize']('1:1') === '1024x1024', 'Non-square ratios snap to OpenAI sizes with default settings');
+
+    process.env.OPENAI_BASE_URL = base;
+    const fromEnv = new OpenAICompatibleProvider({ api_key_env: 'NANOBANANA_TEST_UNSET_KEY' });
+    delete process.env.OPENAI_BASE_URL;
+    check(fromEnv.isAvailable(), 'OPENAI_BASE_URL alone enables a keyless backend');
+
+    // OPENAI_API_KEY is sent only by the built-in openai provider, never to a backend declared in config
+    process.env.OPENAI_API_KEY = 'sk-real-openai-secret';
+    process.env.NANOBANANA_TEST_SD_KEY = 'sd-key';
+    const registry = new ProviderRegistry();
+    registerBuiltinProviders(registry, {
+      openai: { base_url: base },
+      'local-sd': { type: 'openai-compatible', base_url: base },
+      'keyed-sd': { type: 'openai-compatible', base_url: base, api_key_env: 'NANOBANANA_TEST_SD_KEY' }
+    });
+    const count = requests.length;
+    await registry.get('local-sd').provider.generateImage({ prompt: 'local' });
+    await registry.get('openai').provider.generateImage({ prompt: 'openai' });
+    await registry.get('keyed-sd').provider.generateImage({ prompt: 'keyed' });
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.NANOBANANA_TEST_SD_KEY;
+    check(requests[count].auth === undefined, 'Config backend without a key sends no Authorization header');
+    check(requests[count + 1].auth === 'Bearer sk-real-openai-secret', 'Built-in openai provider falls back to OPENAI_API_KEY');
+    check(requests[count + 2].auth === 'Bearer sd-key', 'Config backend uses its own api_key_env');
+  } finally {
+    close();
+  }
+
+  finish('OpenAI-compatible provider');
+}
+
+runTest(main);
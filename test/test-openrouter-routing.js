@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+// Test OpenRouter routing preferences, fallback models and cost lookup against a local stand-in
+import { OpenRouterProvider } from '../dist/providers/openrouter-provider.js';
+import { createChecks, runTest, readBody, startServer } from './harness.js';
+
+const completions = [];
+const statsLookups = [];
+let nextId = 0;
+// Cost reported inline in the completion's usage, and how the stats endpoint misbehaves
+let inlineCost;
+let statsFailure;
+
+async function main() {
+  console.log('=== OpenRouter Routing Test ===\n');
+
+  const { base: origin, close } = await startServer(async (req, res) => {
+    const body = (await readBody(req)).toString();
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url === '/api/v1/chat/completions') {
+      const request = JSON.parse(body);
+      completions.push({ request, auth: req.headers.authorization });
+      const id = `gen-${++nextId}`;
+      res.end(JSON.stringify({
+        id,
+        model: request.models ? request.models[1] : request.model,
+        choices: [{ message: { role: 'assistant', content: '', images: [{ type: 'image_url', image_url: { url: `data:image/png;base64,${Buffer.from(id).toString('base64')}` } }] }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 10, completion_tokens: 20, total_tokens: 30, cost: inlineCost }
+      }));
+    } else if (req.url.startsWith('/api/v1/generation?id=')) {
+      const id = new URL(req.url, 'http://x').searchParams.get('id');
+      statsLookups.push({ id, auth: req.headers.authorization });
+      if (id === 'gen-1' && statsLookups.filter(l => l.id === id).length === 1) {
+        // Stats are not recorded yet on the first lookup
+        res.writeHead(404);
+        res.end(JSON.stringify({ error: { code: 404, message: 'Generation not found' } }));
+      } else if (statsFailure === 'hang') {
+        // Never answers; the lookup has to give up by itself
+      } else if (statsFailure === 'error') {
+        res.writeHead(500);
+        res.end(JSON.stringify({ error: { code: 500, message: 'Internal error' } }));
+      } else {
+        res.end(JSON.stringify({ data: { id, total_cost: 0.039, native_tokens_prompt: 12, native_tokens_completion: 1290 } }));
+      }
+    } else {
+      res.writeHead(404);
+      res.end('{}');
+    }
+  });
+  const base = `${origin}/api/v1`;
+
+  const { check, finish } = createChecks();
+
+  try {
+    process.env.OPENROUTER_API_KEY = 'test-key';
+    const preferences = { order: ['google-vertex', 'google-ai-studio'], allow_fallbacks: false, data_collection: 'deny' };
+    const provider = new OpenRouterProvider({
+      base_url: base,
+      retry: { max_attempts: 1 },
+      provider_preferences: preferences,
+      fallback_models: ['gemini-2.5-flash-image', 'google/gemini-2.5-flash-image-preview'],
+      cost_lookup: true
+    });
+
+    const result = await provider.generateImage({ prompt: 'a lighthouse' });
+    const request = completions[0].request;
+    check(JSON.stringify(request.provider) === JSON.stringify(preferences), 'Routing preferences sent as provider');
+    check(JSON.stringify(request.models) === JSON.stringify(['google/gemini-2.5-flash-image-preview', 'google/gemini-2.5-flash-image']) && request.model === 'google/gemini-2.5-flash-image-preview', 'Fallback models listed after the requested model');
+    check(result.success && result.model === 'google/gemini-2.5-flash-image', 'Model that served the request reported');
+    check(request.usage?.include === true, 'Usage accounting requested');
+    check(statsLookups.length === 2 && statsLookups.every(l => l.id === 'gen-1' && l.auth === 'Bearer test-key'), 'Generation stats looked up by ID, retried while not yet recorded');
+    const { input_tokens, tokens, native_input_tokens, native_output_tokens, cost_usd } = result.usage || {};
+    check(input_tokens === 10 && tokens === 30 && native_input_tokens === 12 && native_output_tokens === 1290 && cost_usd === 0.039, 'Usage includes native token counts and dollar cost');
+
+    // Parallel samples: cost summed across requests
+    const samples = await provider.generateImage({ prompt: 'two lighthouses', sample_count: 2 });
+    check(samples.success && samples.images?.length === 2 && Math.abs(samples.usage.cost_usd - 0.078) < 1e-9 && samples.usage.native_output_tokens === 2580, 'Cost summed across parallel requests');
+
+    // Without fallbacks or preferences the request carries neither; the stats lookup is on by default
+    const plain = new OpenRouterProvider({ base_url: base, retry: { max_attempts: 1 } });
+    const lookups = statsLookups.length;
+    const plainResult = await plain.generateImage({ prompt: 'x' });
+    const plainRequest = completions[3].request;
+    check(!('models' in plainRequest) && !('provider' in plainRequest), 'No routing fields by default');
+    check(statsLookups.length === lookups + 1 && plainResult.usage.native_output_tokens === 1290, 'Stats looked up by default');
+
+    // A cost in the completion's usage still gets native counts; the stats' total cost is authoritative
+    inlineCost = 0.04;
+    const priced = await provider.generateImage({ prompt: 'x' });
+    check(statsLookups.length === lookups + 2 && priced.usage.native_input_tokens === 12 && priced.usage.native_output_tokens === 1290 && priced.usage.cost_usd === 0.039, 'Native counts added alongside an inline cost');
+
+    // Turned off: only the inline cost is reported
+    const unlooked = new OpenRouterProvider({ base_url: base, retry: { max_attempts: 1 }, cost_lookup: false });
+    const inlineOnly = await unlooked.generateImage({ prompt: 'x' });
+    inlineCost = undefined;
+    check(statsLookups.length === lookups + 2 && inlineOnly.usage.cost_usd === 0.04 && inlineOnly.usage.native_output_tokens === undefined, 'cost_lookup false skips the stats endpoint');
+
+    // A failed lookup keeps the token counts and the generation
+    statsFailure = 'error';
+    const unpriced = await provider.generateImage({ prompt: 'x' });
+    check(unpriced.success && unpriced.usage.tokens === 30 && unpriced.usage.cost_usd === undefined, 'Failed stats lookup leaves the result intact');
+
+    // A lookup that never answers is abandoned after a few seconds
+    statsFailure = 'hang';
+    const started = Date.now();
+    const slow = await provider.generateImage({ prompt: 'x' });
+    check(slow.success && slow.usage.cost_usd === undefined && Date.now() - started < 4500, 'Stats lookup bounded by a timeout');
+  } finally {
+    delete process.env.OPENROUTER_API_KEY;
+    close();
+  }
+
+  finish('OpenRouter routing');
+}
+
+runTest(main);
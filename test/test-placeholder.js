@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+// Test the offline placeholder provider (renders locally, no API calls)
+import { Jimp } from 'jimp';
+import { PlaceholderProvider } from '../dist/providers/placeholder-provider.js';
+import { ProviderRegistry } from '../dist/providers/registry.js';
+import { createChecks, runTest } from './harness.js';
+
+async function decode(image) {
+  return Jimp.read(Buffer.from(image.data.replace(/^data:.*?;base64,/, ''), 'base64'));
+}
+
+async function main() {
+  console.log('=== Placeholder Provider Test ===\n');
+
+  const { check, finish } = createChecks();
+
+  const provider = new PlaceholderProvider();
+  const args = { prompt: 'A lighthouse at dusk', scenario: 'style-transfer', aspect_ratio: '16:9' };
+
+  const first = await provider.generateImage(args);
+  const second = await provider.generateImage(args);
+  check(first.success && first.images.length === 1, 'Renders an image without any API key');
+  check(first.images[0].data === second.images[0].data, 'Output is deterministic for the same request');
+
+  const image = await decode(first.images[0]);
+  check(image.width === 1024 && image.height === 576, 'Uses the parsed aspect-ratio dimensions');
+
+  const other = await decode((await provider.generateImage({ ...args, prompt: 'A different prompt' })).images[0]);
+  check(other.getPixelColor(image.width - 1, image.height - 1) !== image.getPixelColor(image.width - 1, image.height - 1),
+    'Background colour is derived from the request');
+
+  const reference = new Jimp({ width: 40, height: 40, color: 0xFF0000FF });
+  const withReference = await provider.generateImage({
+    prompt: 'With a reference',
+    images: [{ base64: (await reference.getBuffer('image/png')).toString('base64'), mimeType: 'image/png' }]
+  });
+  const rendered = await decode(withReference.images[0]);
+  // Thumbnails sit in the bottom-left corner, inside the margin
+  check(rendered.getPixelColor(32 + 10, rendered.height - 32 - 10) === 0xFF0000FF, 'Includes reference image thumbnails');
+
+  const variations = await provider.generateImage({ prompt: 'Variations', sample_count: 3 });
+  check(variations.images.length === 3 && new Set(variations.images.map(i => i.data)).size === 3, 'Renders distinct variations for sample_count');
+
+  // Opt-in: off unless enabled in settings or NANOBANANA_PLACEHOLDER is set
+  check(!provider.isAvailable() && new PlaceholderProvider({ enabled: true }).isAvailable(), 'Disabled by default, enabled in settings');
+  process.env.NANOBANANA_PLACEHOLDER = '1';
+  check(new PlaceholderProvider().isAvailable() && !new PlaceholderProvider({ enabled: false }).isAvailable(), 'NANOBANANA_PLACEHOLDER enables it unless settings disable it');
+  delete process.env.NANOBANANA_PLACEHOLDER;
+
+  const registry = new ProviderRegistry();
+  registry.register({ id: 'remote', provider: { name: 'Remote', isAvailable: () => false, getModelInfo: () => '', generateImage: async () => ({}) }, envVar: 'REMOTE_API_KEY' });
+  registry.register({ id: 'placeholder', provider, envVar: 'NANOBANANA_PLACEHOLDER', fallbackOnly: true });
+  check(registry.select('auto') === null && registry.unavailableMessage('auto') === 'No image generation provider is available. Please set REMOTE_API_KEY environment variable.',
+    '"auto" reports missing credentials instead of falling back to a disabled placeholder');
+  check(/NANOBANANA_PLACEHOLDER/.test(registry.unavailableMessage('placeholder')), 'Selecting the disabled placeholder names its variable');
+
+  const enabled = new PlaceholderProvider({ enabled: true });
+  const fallback = new ProviderRegistry();
+  fallback.register({ id: 'remote', provider: { name: 'Remote', isAvailable: () => false, getModelInfo: () => '', generateImage: async () => ({}) } });
+  fallback.register({ id: 'placeholder', provider: enabled, fallbackOnly: true });
+  check(fallback.select('auto') === enabled, '"auto" falls back to an enabled placeholder when no provider is configured');
+  fallback.register({ id: 'live', provider: { name: 'Live', isAvailable: () => true, getModelInfo: () => '', generateImage: async () => ({}) } });
+  check(fallback.select('auto')?.name === 'Live', 'Configured providers take precedence over placeholders');
+
+  finish('Placeholder provider');
+}
+
+runTest(main);
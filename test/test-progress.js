@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+// Test progress notifications: phase mapping, monotonic values, heartbeat and a generation over stdio (placeholder provider, no API keys)
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { ProgressReporter } from '../dist/utils/progress.js';
+import { createChecks, runTest } from './harness.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const increasing = values => values.every((value, i) => i === 0 || value > values[i - 1]);
+
+function recorder(token = 'tok') {
+  const sent = [];
+  const reporter = new ProgressReporter(token, async notification => {
+    sent.push(notification.params);
+  });
+  return { reporter, sent };
+}
+
+async function main() {
+  console.log('=== Progress Test ===\n');
+
+  const { check, finish } = createChecks();
+
+  // Phases map onto their share of the 0-100 scale
+  const phases = recorder();
+  phases.reporter.report('references', 'Loading 1/2', 1, 2);
+  phases.reporter.report('canvas', 'Canvas');
+  phases.reporter.report('decode', 'Decoding');
+  phases.reporter.report('save', 'Saving 2/2', 2, 2);
+  check(phases.sent.map(p => p.progress).join(',') === '5,10,85,100', 'Phase steps placed within their ranges');
+  check(phases.sent.every(p => p.total === 100 && p.progressToken === 'tok') && phases.sent[0].message === 'Loading 1/2', 'Token, total and message sent');
+
+  // Going back to an earlier phase never lowers the value
+  const backwards = recorder(7);
+  backwards.reporter.report('decode', 'Decoding');
+  backwards.reporter.report('references', 'Loading');
+  backwards.reporter.report('references', 'Loading again');
+  backwards.reporter.complete();
+  backwards.reporter.complete('Done twice');
+  const values = backwards.sent.map(p => p.progress);
+  check(increasing(values) && values[0] === 85 && values[values.length - 1] === 100, 'Values strictly increase when phases repeat or go backwards');
+  check(backwards.sent.filter(p => p.progress === 100).length === 1, 'Nothing sent after completion');
+
+  // Item-level progress across the whole scale
+  const items = recorder();
+  items.reporter.reportItems(0, 4, 'Batch started');
+  items.reporter.reportItems(1, 4, 'Item 1 done');
+  items.reporter.reportItems(3, 4, 'Item 3 done');
+  items.reporter.reportItems(2, 4, 'Item 2 done');
+  check(items.sent.map(p => p.progress).join(',') === '0,25,75,75.01', 'Item progress proportional and never decreasing');
+
+  // Without a progress token nothing is sent
+  const silent = [];
+  const none = new ProgressReporter(undefined, async notification => {
+    silent.push(notification);
+  });
+  none.report('provider', 'Waiting');
+  none.complete();
+  check(!none.enabled && !ProgressReporter.none().enabled && silent.length === 0, 'No notifications without a progress token');
+
+  // A failed send does not throw into the generation
+  const failing = new ProgressReporter('tok', async () => {
+    throw new Error('transport closed');
+  });
+  const originalError = console.error;
+  console.error = () => {};
+  let threw = false;
+  try {
+    failing.report('references', 'Loading');
+    await sleep(0);
+  } catch {
+    threw = true;
+  } finally {
+    console.error = originalError;
+  }
+  check(!threw, 'Send failures are logged, not thrown');
+
+  // While waiting on the provider the heartbeat keeps advancing, but stays inside the phase
+  const waiting = recorder();
+  waiting.reporter.report('provider', 'Generating');
+  await sleep(4300);
+  waiting.reporter.stopHeartbeat();
+  const beats = waiting.sent.map(p => p.progress);
+  check(beats.length >= 2 && increasing(beats) && beats[0] === 15 && beats[beats.length - 1] < 85, 'Heartbeat advances within the provider phase');
+  check(/Generating \(\d+s\)/.test(waiting.sent[beats.length - 1].message), 'Heartbeat message shows elapsed time');
+  await sleep(2100);
+  check(waiting.sent.length === beats.length, 'Heartbeat stops when asked');
+
+  // End to end over stdio with the placeholder provider
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'nanobanana-progress-'));
+  const env = Object.fromEntries(Object.entries(process.env).filter(([key]) => !/API_KEY|CREDENTIALS|BASE_URL/.test(key)));
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [path.join(__dirname, '..', 'dist', 'index.js')],
+    cwd,
+    env: { ...env, NANOBANANA_PLACEHOLDER: '1' },
+    stderr: 'ignore',
+  });
+  const client = new Client({ name: 'progress-test', version: '1.0.0' });
+  await client.connect(transport);
+  // Record notifications as they arrive: the SDK drops the onprogress handler as soon as the
+  // response is read, so a final notification in the same chunk may never reach onprogress
+  const received = [];
+  const onmessage = transport.onmessage;
+  transport.onmessage = (message, extra) => {
+    if (message.method === 'notifications/progress') {
+      received.push(message.params);
+    }
+    onmessage(message, extra);
+  };
+
+  try {
+    const response = await client.callTool(
+      { name: 'generate_image', arguments: { prompt: 'progress', sample_count: 2, aspect_ratio: '16:9', save_to_file: true } },
+      undefined,
+      { onprogress: () => {} }
+    );
+    const progressValues = received.map(p => p.progress);
+    check(!response.isError && received.length >= 3, 'Progress notifications received for a generation');
+    check(increasing(progressValues) && progressValues[progressValues.length - 1] === 100, 'Generation progress strictly increases and ends at 100');
+    check(received.every(p => p.total === 100 && p.message), 'Every notification carries a total and a message');
+  } finally {
+    await client.close();
+    await fs.rm(cwd, { recursive: true, force: true });
+  }
+
+  finish('Progress');
+}
+
+runTest(main);
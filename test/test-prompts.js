@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+// Test scenario prompts: argument lists, rendering into generate_image arguments and missing-argument errors
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { SCENARIOS, findScenario, getPromptArguments, renderScenarioArgs, parseImageReference } from '../dist/scenarios.js';
+import { createChecks, runTest } from './harness.js';
+
+function errorFor(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function main() {
+  console.log('=== Scenario Prompts Test ===\n');
+
+  const { check, finish } = createChecks();
+
+  // Every scenario takes subject, style and aspect_ratio, then its reference slots
+  check(SCENARIOS.every(s => getPromptArguments(s).slice(0, 3).map(a => a.name).join(',') === 'subject,style,aspect_ratio'), 'Common arguments listed first');
+  const multi = getPromptArguments(findScenario('multi-reference'));
+  check(multi.filter(a => a.required).map(a => a.name).join(',') === 'subject,reference_1,reference_2', 'Required reference slots marked required');
+
+  // Rendering
+  const plain = renderScenarioArgs(findScenario('text-to-image'), { subject: ' a red fox ', style: 'watercolor', aspect_ratio: '16:9' });
+  check(plain.prompt === 'a red fox Style: watercolor.' && plain.scenario === 'text-to-image' && plain.aspect_ratio === '16:9', 'Subject, style and aspect ratio rendered');
+  check(!('images' in plain), 'No images without reference slots');
+
+  const styled = renderScenarioArgs(findScenario('style-transfer'), {
+    subject: 'a harbour',
+    style_reference: 'https://example.com/starry.png',
+    content_reference: './harbour.jpg'
+  });
+  check(JSON.stringify(styled.images) === JSON.stringify([
+    { url: 'https://example.com/starry.png', description: 'Image whose artistic style should be applied' },
+    { path: './harbour.jpg', description: 'Image whose content should be restyled' }
+  ]), 'Reference slots become images in slot order');
+  check(!('aspect_ratio' in styled), 'Blank optional arguments left out');
+
+  const data = parseImageReference(' data:image/webp;base64,AAAA ');
+  check(data.base64 === 'data:image/webp;base64,AAAA' && data.mimeType === 'image/webp', 'data: URIs passed inline with their MIME type');
+
+  // Missing required arguments are InvalidParams errors
+  const noSubject = errorFor(() => renderScenarioArgs(findScenario('text-to-image'), {}));
+  check(noSubject instanceof McpError && noSubject.code === ErrorCode.InvalidParams && /"subject"/.test(noSubject.message), 'Missing subject rejected as InvalidParams');
+  const blankSubject = errorFor(() => renderScenarioArgs(findScenario('text-to-image'), { subject: '   ' }));
+  check(blankSubject?.code === ErrorCode.InvalidParams, 'Blank subject rejected');
+  const noReference = errorFor(() => renderScenarioArgs(findScenario('photo-enhancement'), { subject: 'sharper' }));
+  check(noReference?.code === ErrorCode.InvalidParams && /"photo"/.test(noReference.message), 'Missing required reference rejected');
+  const noArguments = errorFor(() => renderScenarioArgs(findScenario('text-to-image')));
+  check(noArguments?.code === ErrorCode.InvalidParams, 'Prompt requested without arguments rejected');
+
+  finish('Scenario prompts');
+}
+
+runTest(main);
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+// Test provider health checks with stand-in providers (no API calls)
+import { ProviderRegistry } from '../dist/providers/registry.js';
+import { ProviderFailover } from '../dist/providers/failover.js';
+import { ProviderHealthChecker, formatProviderHealth } from '../dist/providers/health.js';
+import { ProviderHttpError } from '../dist/utils/provider-errors.js';
+import { createChecks, runTest } from './harness.js';
+
+function fakeProvider(name, listModels, extra = {}) {
+  const provider = {
+    name,
+    defaultModel: 'image-1',
+    probes: 0,
+    isAvailable: () => true,
+    getModelInfo: () => name,
+    generateImage: async (args) => ({ success: false, provider: name, model: 'image-1', prompt: args.prompt, error: 'HTTP 503', status: 503, retryable: true }),
+    listModels: listModels && (async (signal, options) => {
+      provider.probes++;
+      provider.lastOptions = options;
+      return listModels(signal);
+    }),
+    ...extra
+  };
+  return provider;
+}
+
+async function main() {
+  console.log('=== Provider Health Test ===\n');
+
+  const { check, finish } = createChecks();
+
+  const healthy = fakeProvider('Healthy', async (signal) => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    signal.throwIfAborted();
+    return [{ id: 'image-1' }, { id: 'image-2' }];
+  });
+  const rejected = fakeProvider('Rejected', () => { throw new ProviderHttpError('Rejected API error: 401 - invalid key', 401); });
+  const limited = fakeProvider('Limited', () => { throw new ProviderHttpError('Limited API error: 429 - quota', 429); });
+  const offline = fakeProvider('Offline', () => { throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }); });
+  const unconfigured = fakeProvider('Unconfigured', () => [], { isAvailable: () => false });
+  const opaque = fakeProvider('Opaque', undefined);
+  const credit = fakeProvider('Credit', undefined, {
+    probe: async () => ({ models: ['other'], quota: { limit_remaining: 0 }, quota_exhausted: true })
+  });
+
+  const registry = new ProviderRegistry();
+  for (const [id, provider] of Object.entries({ healthy, rejected, limited, offline, unconfigured, opaque, credit })) {
+    registry.register({ id, provider });
+  }
+  const failover = new ProviderFailover(registry);
+  const checker = new ProviderHealthChecker(registry, failover);
+
+  const results = Object.fromEntries((await checker.check()).map(h => [h.provider, h]));
+  check(results.healthy.auth === 'ok' && results.healthy.reachable && results.healthy.models.length === 2, 'Healthy provider reports models');
+  check(results.healthy.latency_ms >= 15 && results.healthy.default_model_available === true, 'Latency and default model reported');
+  check(healthy.lastOptions?.retry === false, 'Probe makes a single attempt');
+  check(results.rejected.auth === 'invalid' && results.rejected.status === 401, '401 reported as invalid credentials');
+  check(results.limited.auth === 'ok' && results.limited.quota_exhausted === true, '429 reported as exhausted quota');
+  check(results.offline.reachable === false && /ENOTFOUND/.test(results.offline.error), 'Network failure reported as unreachable');
+  check(results.unconfigured.auth === 'not_configured' && unconfigured.probes === 0, 'Unconfigured provider is not probed');
+  check(results.opaque.auth === 'unknown' && /does not support/.test(results.opaque.error), 'Provider without listModels or probe reported as unknown');
+  check(results.credit.quota_exhausted === true && results.credit.default_model_available === false, 'Custom probe quota passed through');
+
+  // Cached results are reused; refresh probes again
+  const again = await checker.check('healthy');
+  check(again[0].cached === true && healthy.probes === 1, 'Results cached');
+  await checker.check('healthy', { refresh: true });
+  check(healthy.probes === 2, 'refresh bypasses the cache');
+  await Promise.all([checker.check('rejected', { refresh: true }), checker.check('rejected', { refresh: true })]);
+  check(rejected.probes === 2, 'Concurrent checks share one probe');
+
+  // A caller that gives up does not cancel the probe another caller shares
+  const controller = new AbortController();
+  const abandoned = checker.check('healthy', { refresh: true, signal: controller.signal });
+  const waiting = checker.check('healthy', { refresh: true });
+  controller.abort(new Error('caller cancelled'));
+  const abandonedError = await abandoned.then(() => null, error => error.message);
+  const [shared] = await waiting;
+  check(abandonedError === 'caller cancelled' && shared.auth === 'ok' && !shared.error && healthy.probes === 3, 'Cancelled caller stops waiting; the shared probe completes for the other');
+
+  // The last failed generation is reported alongside the probe, even from the cache
+  await failover.generate({ prompt: 'x', provider: 'healthy' });
+  const [withError] = await checker.check('healthy');
+  check(withError.cached && withError.last_error?.error === 'HTTP 503' && withError.last_error.status === 503, 'Last generation error reported');
+  check(/^⚠ Rejected \(rejected\): auth invalid/.test(formatProviderHealth(results.rejected)), 'Formatted summary flags problems');
+
+  let unknownError = null;
+  try {
+    await checker.check('missing');
+  } catch (error) {
+    unknownError = error.message;
+  }
+  check(/Unknown provider "missing"/.test(unknownError || ''), 'Unknown provider IDs are rejected');
+
+  finish('Provider health');
+}
+
+runTest(main);
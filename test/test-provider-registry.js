@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+// Test the provider registry: built-ins, ESM provider modules and auto ordering (no API calls)
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ProviderRegistry, configureProviders } from '../dist/providers/registry.js';
+import { createChecks, runTest } from './harness.js';
+
+const MODULE_SOURCE = `
+export default function createProviders(options) {
+  return {
+    id: 'inhouse',
+    envVar: 'INHOUSE_TOKEN',
+    provider: {
+      name: 'In-house Renderer',
+      isAvailable: () => options.enabled === true,
+      getModelInfo: () => 'Test provider',
+      generateImage: async (args) => ({ success: true, provider: 'In-house Renderer', model: 'test', prompt: args.prompt })
+    }
+  };
+}
+`;
+
+async function main() {
+  console.log('=== Provider Registry Test ===\n');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nanobanana-registry-'));
+  await fs.writeFile(path.join(dir, 'inhouse.js'), MODULE_SOURCE);
+
+  const { check, finish } = createChecks();
+
+  try {
+    const registry = new ProviderRegistry();
+    await configureProviders(registry, {
+      provider_modules: [{ module: './inhouse.js', options: { enabled: true } }],
+      auto_order: ['inhouse', 'gemini', 'openrouter']
+    }, dir);
+
+    check(registry.ids().join(',') === 'gemini,openrouter,vertex,openai,placeholder,inhouse', 'Built-ins registered before modules');
+    check(registry.autoOrder()[0].id === 'inhouse', 'auto_order is respected');
+    check(registry.select('auto')?.name === 'In-house Renderer', '"auto" selects the first available provider');
+    check(registry.select('inhouse')?.name === 'In-house Renderer', 'Module provider selectable by ID');
+
+    let unknownError = null;
+    try {
+      registry.select('missing');
+    } catch (error) {
+      unknownError = error.message;
+    }
+    check(/Unknown provider "missing"/.test(unknownError || ''), 'Unknown provider IDs are rejected');
+
+    let duplicateError = null;
+    try {
+      registry.register({ id: 'gemini', provider: registry.get('inhouse').provider });
+    } catch (error) {
+      duplicateError = error.message;
+    }
+    check(/already registered/.test(duplicateError || ''), 'Duplicate IDs are rejected');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  finish('Provider registry');
+}
+
+runTest(main);
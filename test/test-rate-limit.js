@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+// Test per-provider rate limiting and request queueing (no API calls)
+import { RateLimiter } from '../dist/utils/rate-limit.js';
+import { resolveRateLimit } from '../dist/config.js';
+import { ProviderRegistry } from '../dist/providers/registry.js';
+import { ProviderFailover } from '../dist/providers/failover.js';
+import { createChecks, runTest } from './harness.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function fakeProvider(name, delayMs) {
+  return {
+    name,
+    defaultModel: 'image-1',
+    calls: 0,
+    isAvailable: () => true,
+    getModelInfo: () => name,
+    async generateImage(args) {
+      this.calls++;
+      await sleep(delayMs);
+      return { success: true, provider: name, model: 'image-1', prompt: args.prompt, images: [{ type: 'url', url: 'x' }] };
+    }
+  };
+}
+
+async function main() {
+  console.log('=== Rate Limit Test ===\n');
+
+  const { check, finish } = createChecks();
+
+  // Concurrency cap: waiters are served in arrival order and told their position
+  const limiter = new RateLimiter({ maxConcurrent: 1, queueTimeoutMs: 5000 });
+  const order = [];
+  const positions = { b: [], c: [] };
+  const releaseA = await limiter.acquire();
+  const b = limiter.acquire({ onQueued: p => positions.b.push(p) }).then(release => { order.push('b'); return release; });
+  const c = limiter.acquire({ onQueued: p => positions.c.push(p) }).then(release => { order.push('c'); return release; });
+  check(limiter.inFlight === 1 && limiter.queued === 2, 'Requests over the cap are queued');
+  releaseA();
+  const releaseB = await b;
+  check(JSON.stringify(positions.c) === '[2,1]' && JSON.stringify(positions.b) === '[1]', 'Queue positions reported as they change');
+  releaseB();
+  releaseB();
+  (await c)();
+  check(order.join(',') === 'b,c' && limiter.inFlight === 0, 'Queue served first come, first served; double release ignored');
+
+  // Token bucket: 600/minute refills a token every 100ms; the burst of 2 starts at once, then a cost-2 request waits for both tokens
+  const bucket = new RateLimiter({ requestsPerMinute: 600, burst: 2, queueTimeoutMs: 5000 });
+  const startedAt = Date.now();
+  (await bucket.acquire())();
+  (await bucket.acquire())();
+  (await bucket.acquire({ cost: 2 }))();
+  const elapsed = Date.now() - startedAt;
+  check(elapsed >= 180 && elapsed < 1000, `Requests spaced by the per-minute rate (${elapsed} ms)`);
+
+  // Queue timeout and cancellation
+  const held = await limiter.acquire();
+  let timeoutError = null;
+  const tight = new RateLimiter({ maxConcurrent: 1, queueTimeoutMs: 50 });
+  await tight.acquire();
+  try {
+    await tight.acquire();
+  } catch (error) {
+    timeoutError = error;
+  }
+  check(/Timed out after \d+s waiting in the request queue \(0 request\(s\) ahead, 1 concurrent\)/.test(timeoutError?.message || '') && tight.queued === 0, 'Queue timeout fails with the limits');
+
+  const controller = new AbortController();
+  const cancelled = limiter.acquire({ signal: controller.signal }).then(() => 'granted', () => 'rejected');
+  controller.abort(new Error('Generation cancelled'));
+  check(await cancelled === 'rejected' && limiter.queued === 0, 'Cancelled requests leave the queue');
+  held();
+
+  // Settings from the config file win over the environment
+  const env = { NANOBANANA_MY_PROVIDER_RPM: '30', NANOBANANA_MY_PROVIDER_MAX_CONCURRENT: '4' };
+  const resolved = resolveRateLimit('my-provider', { max_concurrent: 2 }, env);
+  check(resolved.requests_per_minute === 30 && resolved.max_concurrent === 2 && resolved.queue_timeout_ms === 120000, 'Config and environment merged');
+  check(resolveRateLimit('gemini', {}, {}) === undefined, 'No limiter without a limit');
+  let invalid = null;
+  try {
+    resolveRateLimit('gemini', {}, { NANOBANANA_GEMINI_RPM: 'fast' });
+  } catch (error) {
+    invalid = error.message;
+  }
+  check(/Invalid NANOBANANA_GEMINI_RPM "NaN"/.test(invalid || ''), 'Invalid limits rejected');
+
+  // Failover: a queue timeout fails an explicit request, and in auto mode moves on without tripping the circuit
+  const registry = new ProviderRegistry();
+  const busy = fakeProvider('Busy', 200);
+  const backup = fakeProvider('Backup', 0);
+  registry.register({ id: 'busy', provider: busy });
+  registry.register({ id: 'backup', provider: backup });
+  const failover = new ProviderFailover(registry);
+  failover.configure({ failure_threshold: 1 });
+  failover.configureRateLimits({ busy: { rate_limit: { max_concurrent: 1, queue_timeout_ms: 50 } } }, {});
+
+  const first = failover.generate({ prompt: 'one', provider: 'busy' });
+  const messages = [];
+  const explicit = await failover.generate({ prompt: 'two', provider: 'busy' }, { onProgress: (phase, message) => messages.push(message) });
+  check(!explicit.success && /Timed out/.test(explicit.error || '') && busy.calls === 1, 'Explicit request fails after the queue timeout');
+  check(messages.some(m => /Waiting for Busy: position 1 of 1/.test(m)), 'Queue position reported as progress');
+  check(explicit.attempts[0].queued_ms >= 40, 'Queue wait reported in attempts');
+
+  const auto = await failover.generate({ prompt: 'three' });
+  check(auto.success && auto.provider === 'Backup' && /Timed out/.test(auto.attempts[0].error || ''), 'Auto mode fails over after a queue timeout');
+  check(failover.circuitState('busy') === 'closed' && failover.lastError('busy') === undefined, 'Queue timeouts do not count against the provider');
+  check((await first).success, 'Request holding the slot completes');
+
+  finish('Rate limit');
+}
+
+runTest(main);
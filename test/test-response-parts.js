@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+// Test text parts and response_modalities against a local Gemini API stand-in
+import { Jimp } from 'jimp';
+import { GeminiProvider } from '../dist/providers/gemini-provider.js';
+import { createChecks, runTest, readBody, startServer } from './harness.js';
+
+const requests = [];
+
+async function createImage(color) {
+  const image = new Jimp({ width: 32, height: 32, color });
+  return (await image.getBuffer('image/png')).toString('base64');
+}
+
+async function main() {
+  console.log('=== Response Parts Test ===\n');
+
+  const red = await createImage(0xFF0000FF);
+  const blue = await createImage(0x0000FFFF);
+  const { base, close } = await startServer(async (req, res) => {
+    const body = await readBody(req);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    requests.push(JSON.parse(body.toString() || '{}'));
+    res.end(JSON.stringify({
+      candidates: [{
+        content: {
+          role: 'model',
+          parts: [
+            { text: 'Thinking about colours', thought: true },
+            { text: 'A red square:' },
+            { inlineData: { mimeType: 'image/png', data: red } },
+            { text: 'And a blue one.' },
+            { inlineData: { mimeType: 'image/png', data: blue } }
+          ]
+        },
+        finishReason: 'STOP'
+      }]
+    }));
+  });
+
+  const { check, finish } = createChecks();
+
+  try {
+    process.env.GEMINI_API_KEY = 'test-key';
+    const provider = new GeminiProvider({ base_url: `${base}/v1beta`, retry: { max_attempts: 1 } });
+
+    const result = await provider.generateImage({ prompt: 'two squares', response_modalities: 'text+image' });
+    check(JSON.stringify(requests[0].generationConfig) === JSON.stringify({ responseModalities: ['TEXT', 'IMAGE'] }), 'text+image maps to responseModalities TEXT, IMAGE');
+    check(result.success && result.images?.length === 2, 'Both images returned');
+    check(result.text === 'A red square:\n\nAnd a blue one.', 'Text parts collected, thoughts dropped');
+    check(JSON.stringify(result.parts) === JSON.stringify([
+      { type: 'text', text: 'A red square:' },
+      { type: 'image', image: 1 },
+      { type: 'text', text: 'And a blue one.' },
+      { type: 'image', image: 2 }
+    ]), 'Text and images kept in response order');
+
+    await provider.generateImage({ prompt: 'image only', response_modalities: 'image' });
+    check(JSON.stringify(requests[1].generationConfig) === JSON.stringify({ responseModalities: ['IMAGE'] }), 'image maps to responseModalities IMAGE');
+
+    await provider.generateImage({ prompt: 'default' });
+    check(requests[2].generationConfig === undefined, 'No generationConfig sent by default');
+
+    const invalid = await provider.generateImage({ prompt: 'x', response_modalities: 'audio' });
+    check(invalid.success === false && /Unknown response_modalities "audio"/.test(invalid.error || '') && requests.length === 3, 'Unknown modalities rejected before the request');
+  } finally {
+    delete process.env.GEMINI_API_KEY;
+    close();
+  }
+
+  finish('Response parts');
+}
+
+runTest(main);
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+// Test the shared retry policy against a local HTTP server (no API calls)
+import http from 'http';
+import fetch from 'node-fetch';
+import { withRetry, resolveRetryPolicy } from '../dist/utils/retry.js';
+import { providerErrorFromResponse } from '../dist/utils/provider-errors.js';
+import { createChecks, runTest } from './harness.js';
+
+// Each path answers with the queued responses in order, then 200
+const scripts = {
+  '/retry-after': [{ status: 503, headers: { 'Retry-After': '0' }, body: 'busy' }],
+  '/retry-info': [{
+    status: 429,
+    body: JSON.stringify({ error: { code: 429, message: 'Quota exceeded', details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '0.05s' }] } })
+  }],
+  '/bad-request': [{ status: 400, body: JSON.stringify({ error: { message: 'Invalid prompt' } }) }],
+  '/slow-down': [{ status: 503, headers: { 'Retry-After': '5' }, body: '' }],
+};
+const hits = {};
+
+const server = http.createServer((req, res) => {
+  hits[req.url] = (hits[req.url] || 0) + 1;
+  const next = scripts[req.url]?.[hits[req.url] - 1];
+  if (next) {
+    res.writeHead(next.status, next.headers || {});
+    res.end(next.body);
+  } else {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"ok":true}');
+  }
+});
+
+async function call(base, path, policy, delays) {
+  return withRetry(resolveRetryPolicy(policy), async () => {
+    const res = await fetch(base + path);
+    if (!res.ok) {
+      throw await providerErrorFromResponse('Test', res);
+    }
+    return res.json();
+  }, { onRetry: (error, attempt, delayMs) => delays.push(delayMs) });
+}
+
+async function main() {
+  console.log('=== Retry Policy Test ===\n');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const { check, finish } = createChecks();
+
+  try {
+    let delays = [];
+    const ok = await call(base, '/retry-after', {}, delays);
+    check(ok.ok && hits['/retry-after'] === 2 && delays[0] === 0, 'Retries a 503 after the Retry-After delay');
+
+    delays = [];
+    await call(base, '/retry-info', {}, delays);
+    check(hits['/retry-info'] === 2 && delays[0] === 50, 'Honors Gemini RetryInfo retryDelay');
+
+    let error = null;
+    try {
+      await call(base, '/bad-request', {}, []);
+    } catch (e) {
+      error = e;
+    }
+    check(error?.status === 400 && hits['/bad-request'] === 1, 'Does not retry a 400');
+    check(error?.message === 'Test API error: 400 - Invalid prompt', 'Reduces JSON error bodies to their message');
+
+    error = null;
+    try {
+      await call(base, '/slow-down', { time_budget_ms: 1000 }, []);
+    } catch (e) {
+      error = e;
+    }
+    check(error?.status === 503 && hits['/slow-down'] === 1, 'Gives up when the wait would exceed the time budget');
+
+    error = null;
+    try {
+      await call('http://127.0.0.1:1', '/', { max_attempts: 2, initial_delay_ms: 10 }, delays = []);
+    } catch (e) {
+      error = e;
+    }
+    check(error && delays.length === 1, 'Retries network errors up to max_attempts');
+  } finally {
+    server.close();
+  }
+
+  finish('Retry');
+}
+
+runTest(main, () => server.close());
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+// Test safety settings and safety block reporting against a local Gemini API stand-in
+import { GeminiProvider } from '../dist/providers/gemini-provider.js';
+import { toGeminiSafetySettings, parseOpenRouterSafetyBlock, parseOpenRouterModerationError } from '../dist/utils/safety.js';
+import { providerErrorFromResponse } from '../dist/utils/provider-errors.js';
+import { createChecks, runTest, readBody, startServer } from './harness.js';
+
+const requests = [];
+const keys = [];
+let nextResponse = {};
+
+async function main() {
+  console.log('=== Safety Settings Test ===\n');
+
+  const { base, close } = await startServer(async (req, res) => {
+    const body = await readBody(req);
+    keys.push(req.headers['x-goog-api-key']);
+    requests.push(JSON.parse(body.toString() || '{}'));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(nextResponse));
+  });
+
+  const { check, finish } = createChecks();
+
+  try {
+    process.env.GEMINI_API_KEY = 'test-key';
+    const provider = new GeminiProvider({ base_url: `${base}/v1beta`, retry: { max_attempts: 1 } });
+
+    // safety_settings are sent as Gemini safetySettings
+    nextResponse = {
+      promptFeedback: {
+        blockReason: 'SAFETY',
+        safetyRatings: [
+          { category: 'HARM_CATEGORY_HARASSMENT', probability: 'NEGLIGIBLE' },
+          { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'HIGH', blocked: true }
+        ]
+      }
+    };
+    const promptBlocked = await provider.generateImage({
+      prompt: 'blocked prompt',
+      safety_settings: [
+        { category: 'dangerous_content', threshold: 'block_only_high' },
+        { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' }
+      ]
+    });
+    check(keys[0] === 'test-key', 'Request authenticated with the API key');
+    check(JSON.stringify(requests[0].safetySettings) === JSON.stringify([
+      { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_ONLY_HIGH' },
+      { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' }
+    ]), 'safety_settings mapped to Gemini safetySettings');
+
+    // promptFeedback.blockReason becomes a prompt block with the flagged categories
+    check(promptBlocked.success === false && promptBlocked.retryable === false, 'Blocked prompt is a non-retryable failure');
+    check(promptBlocked.blocked?.stage === 'prompt' && promptBlocked.blocked.reason === 'SAFETY', 'Prompt block reason reported');
+    check(promptBlocked.blocked?.categories.length === 1
+      && promptBlocked.blocked.categories[0].category === 'HARM_CATEGORY_DANGEROUS_CONTENT', 'Only the blocking category is listed');
+    check(/Prompt blocked by Gemini safety filters/.test(promptBlocked.error || ''), 'Error message describes the block');
+
+    // A candidate finishing with SAFETY and no images is an output block
+    nextResponse = {
+      candidates: [{
+        finishReason: 'IMAGE_SAFETY',
+        finishMessage: 'Unable to show the generated image',
+        safetyRatings: [{ category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', probability: 'MEDIUM' }]
+      }]
+    };
+    const outputBlocked = await provider.generateImage({ prompt: 'withheld output' });
+    check(requests[1].safetySettings === undefined, 'No safetySettings sent by default');
+    check(outputBlocked.blocked?.stage === 'output' && outputBlocked.blocked.reason === 'IMAGE_SAFETY', 'Output block reason reported');
+    check(outputBlocked.blocked?.categories[0]?.category === 'HARM_CATEGORY_SEXUALLY_EXPLICIT', 'Output block categories reported');
+
+    // Unknown values are rejected before any request is made
+    const invalid = await provider.generateImage({ prompt: 'x', safety_settings: [{ category: 'violence', threshold: 'block_none' }] });
+    check(invalid.success === false && /Unknown safety category "violence"/.test(invalid.error || '') && requests.length === 2, 'Unknown categories rejected');
+    let thresholdError = null;
+    try {
+      toGeminiSafetySettings([{ category: 'harassment', threshold: 'sometimes' }]);
+    } catch (error) {
+      thresholdError = error.message;
+    }
+    check(/Unknown safety threshold "sometimes"/.test(thresholdError || ''), 'Unknown thresholds rejected');
+
+    // OpenRouter finish_reason and moderation errors
+    const filtered = parseOpenRouterSafetyBlock({ finish_reason: 'content_filter', native_finish_reason: 'IMAGE_SAFETY', message: { content: '' } }, 0);
+    check(filtered?.stage === 'output' && filtered.reason === 'IMAGE_SAFETY', 'OpenRouter content_filter reported as an output block');
+    check(parseOpenRouterSafetyBlock({ finish_reason: 'stop', message: {} }, 0) === undefined, 'OpenRouter normal finish is not a block');
+
+    const moderationError = await providerErrorFromResponse('OpenRouter', {
+      status: 403,
+      headers: { get: () => null },
+      text: async () => JSON.stringify({
+        error: { code: 403, message: 'Input was flagged', metadata: { reasons: ['violence'], flagged_input: 'a gory...' } }
+      })
+    });
+    const moderated = parseOpenRouterModerationError(moderationError);
+    check(moderated?.stage === 'prompt' && moderated.reason === 'moderation' && moderated.categories[0]?.category === 'violence', 'OpenRouter moderation error reported as a prompt block');
+  } finally {
+    delete process.env.GEMINI_API_KEY;
+    close();
+  }
+
+  finish('Safety settings');
+}
+
+runTest(main);
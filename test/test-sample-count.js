@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+// Test generation parameters, candidateCount and parallel fan-out against a local Gemini API stand-in
+import { Jimp } from 'jimp';
+import { GeminiProvider } from '../dist/providers/gemini-provider.js';
+import { mergeGenerationResults } from '../dist/utils/fan-out.js';
+import { createChecks, runTest, readBody, startServer } from './harness.js';
+
+const requests = [];
+
+async function createImage(color) {
+  const image = new Jimp({ width: 16, height: 16, color });
+  return (await image.getBuffer('image/png')).toString('base64');
+}
+
+const candidate = data => ({ content: { role: 'model', parts: [{ inlineData: { mimeType: 'image/png', data } }] }, finishReason: 'STOP' });
+
+async function main() {
+  console.log('=== Sample Count Test ===\n');
+
+  const colors = await Promise.all([0xFF0000FF, 0x00FF00FF, 0x0000FFFF].map(createImage));
+  const { base, close } = await startServer(async (req, res) => {
+    const body = JSON.parse((await readBody(req)).toString() || '{}');
+    const model = req.url.match(/models\/([^:]+):generateContent/)[1];
+    requests.push({ model, config: body.generationConfig });
+    const count = body.generationConfig?.candidateCount || 1;
+
+    if (model === 'multi-model') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ candidates: colors.slice(0, count).map(candidate), usageMetadata: { totalTokenCount: 10 } }));
+    } else if (model === 'single-model' && count > 1) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { code: 400, message: 'Multiple candidates is not enabled for this model', status: 'INVALID_ARGUMENT' } }));
+    } else {
+      // Seeds 7 and 8 render the same image, so one of them is a duplicate
+      const seed = body.generationConfig?.seed;
+      const data = seed === 9 ? colors[2] : seed === undefined ? colors[1] : colors[0];
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ candidates: [candidate(data)], usageMetadata: { totalTokenCount: 10 } }));
+    }
+  });
+
+  const { check, finish } = createChecks();
+
+  try {
+    process.env.GEMINI_API_KEY = 'test-key';
+    const provider = new GeminiProvider({ base_url: `${base}/v1beta`, retry: { max_attempts: 1 } });
+
+    // Native candidateCount, with sampling parameters mapped onto generationConfig
+    const native = await provider.generateImage({ prompt: 'three', model: 'multi-model', sample_count: 3, temperature: 0.4, top_p: 0.9, top_k: 20 });
+    check(requests.length === 1 && JSON.stringify(requests[0].config) === JSON.stringify({ temperature: 0.4, topP: 0.9, topK: 20, candidateCount: 3 }), 'Sampling parameters and candidateCount sent in one request');
+    check(native.success && native.images?.length === 3, 'All candidates returned');
+
+    // A model that rejects candidateCount is fanned out with one seed per request
+    requests.length = 0;
+    const fanned = await provider.generateImage({ prompt: 'three', model: 'single-model', sample_count: 3, seed: 7 });
+    const seeds = requests.slice(1).map(r => r.config?.seed).sort();
+    check(requests.length === 4 && requests[0].config.candidateCount === 3 && seeds.join(',') === '7,8,9', 'Rejected candidateCount falls back to parallel requests with distinct seeds');
+    check(fanned.success && fanned.images?.length === 2 && /1 duplicate image\(s\) dropped/.test(fanned.message || ''), 'Byte-identical duplicates dropped');
+    check(fanned.usage?.tokens === 30, 'Usage summed across requests');
+
+    requests.length = 0;
+    await provider.generateImage({ prompt: 'two', model: 'single-model', sample_count: 2 });
+    check(requests.length === 2 && requests.every(r => !r.config?.candidateCount), 'Model remembered as single-candidate');
+
+    // Fewer images than asked for are topped up
+    requests.length = 0;
+    const topped = await provider.generateImage({ prompt: 'two', model: 'partial-model', sample_count: 2, seed: 8 });
+    check(requests.length === 2 && requests[1].config.seed === 9 && topped.images?.length === 2, 'Missing images requested in parallel');
+
+    // Parts are renumbered when results are merged
+    const merged = mergeGenerationResults([
+      { success: true, provider: 'p', model: 'm', prompt: 'x', images: [{ type: 'url', url: 'a' }], text: 'first', parts: [{ type: 'text', text: 'first' }, { type: 'image', image: 1 }] },
+      { success: false, provider: 'p', model: 'm', prompt: 'x', error: 'boom' },
+      { success: true, provider: 'p', model: 'm', prompt: 'x', images: [{ type: 'url', url: 'b' }], text: 'second', parts: [{ type: 'text', text: 'second' }, { type: 'image', image: 1 }] }
+    ]);
+    check(JSON.stringify(merged.parts?.map(p => p.image ?? p.text)) === JSON.stringify(['first', 1, 'second', 2]), 'Merged parts keep captions paired with their images');
+    check(/1 of 3 requests failed: boom/.test(merged.message || ''), 'Partial failures noted in the message');
+  } finally {
+    delete process.env.GEMINI_API_KEY;
+    close();
+  }
+
+  finish('Sample count');
+}
+
+runTest(main);
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+// Test the in-memory session store: LRU eviction, turn limit, branch_session and reset_session
+import { SessionStore } from '../dist/sessions.js';
+import { createChecks, runTest } from './harness.js';
+
+const turn = (prompt) => ({ prompt, response_images: [{ base64: 'AAAA', mimeType: 'image/png' }] });
+
+const errorOf = (fn) => {
+  try {
+    fn();
+    return '';
+  } catch (error) {
+    return error.message;
+  }
+};
+
+async function main() {
+  console.log('=== Session Store Test ===\n');
+
+  const { check, finish } = createChecks();
+
+  // Least recently used sessions are evicted past the limit
+  const store = new SessionStore(2, 3);
+  store.append('a', turn('a1'));
+  store.append('b', turn('b1'));
+  store.append('a', turn('a2'));
+  store.append('c', turn('c1'));
+  check(!store.get('b') && store.get('a') && store.get('c'), 'Least recently used session evicted, not the oldest');
+  store.append('d', turn('d1'));
+  check(!store.get('a') && store.get('c') && store.get('d'), 'Each new session evicts the next least recently used');
+
+  // Turns past the limit drop the oldest, keeping turn numbers
+  const sessions = new SessionStore(10, 3);
+  sessions.append('a', turn('a1'));
+  sessions.append('a', turn('a2'));
+  sessions.append('c', turn('c1'));
+  const numbers = ['a3', 'a4', 'a5'].map(prompt => sessions.append('a', turn(prompt)));
+  const a = sessions.get('a');
+  check(numbers.join(',') === '3,4,5', 'Turn numbers keep counting past the limit');
+  check(a.turns.map(t => t.prompt).join(',') === 'a3,a4,a5' && a.dropped_turns === 2, 'Oldest turns dropped past the turn limit');
+  check(sessions.getTurns('a').length === 3, 'Only kept turns are replayed');
+
+  // Branching copies the first N turns, numbered as in the source
+  const branch = sessions.branch('a', 4, 'a-alt');
+  check(branch.turns.map(t => t.prompt).join(',') === 'a3,a4' && branch.branched_from.turn === 4 && branch.dropped_turns === 2, 'Branch keeps turns up to N');
+  check(sessions.append('a-alt', turn('alt5')) === 5 && sessions.getTurns('a').length === 3, 'Branch grows independently of its source');
+  check(/between 2 and 5/.test(errorOf(() => sessions.branch('a', 1))), 'Dropped turns cannot be branched from');
+  check(/between 0 and/.test(errorOf(() => sessions.branch('c', 2))) && /Unknown session/.test(errorOf(() => sessions.branch('missing', 0))), 'Out-of-range turns and unknown sessions rejected');
+  check(/already exists/.test(errorOf(() => sessions.branch('a-alt', 0, 'a'))), 'Branch ID must be new');
+  check(sessions.branch('a-alt', 0, 'empty').turns.length === 0, 'Turn 0 branches an empty session');
+
+  // Reset clears history and numbering
+  check(sessions.reset('a-alt') && sessions.getTurns('a-alt').length === 0 && sessions.append('a-alt', turn('fresh')) === 1, 'Reset clears turns and restarts numbering');
+  check(!sessions.reset('missing'), 'Resetting an unknown session reports it');
+
+  finish('Session store');
+}
+
+runTest(main);
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+// Test the Vertex AI provider against a local stand-in for the token and generateContent endpoints
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { generateKeyPairSync, createVerify } from 'crypto';
+import { Jimp } from 'jimp';
+import { VertexProvider } from '../dist/providers/vertex-provider.js';
+import { createChecks, runTest, readBody, startServer } from './harness.js';
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+let tokenLifetime = 3600;
+let tokensIssued = 0;
+// Tokens the API rejects although they have not expired
+const revoked = new Set();
+const requests = [];
+
+function verifyJwt(jwt) {
+  const [header, claims, signature] = jwt.split('.');
+  const ok = createVerify('RSA-SHA256').update(`${header}.${claims}`).verify(publicKey, signature, 'base64url');
+  return ok ? JSON.parse(Buffer.from(claims, 'base64url').toString()) : null;
+}
+
+async function createResponseImage() {
+  const image = new Jimp({ width: 64, height: 36, color: 0x22AA44FF });
+  return (await image.getBuffer('image/png')).toString('base64');
+}
+
+async function main() {
+  console.log('=== Vertex AI Provider Test ===\n');
+
+  const responseImage = await createResponseImage();
+  const { base, close } = await startServer(async (req, res) => {
+    const body = (await readBody(req)).toString();
+    if (req.url === '/token') {
+      const assertion = new URLSearchParams(body).get('assertion');
+      const claims = assertion && verifyJwt(assertion);
+      if (!claims || claims.iss !== 'tester@test-project.iam.gserviceaccount.com') {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'invalid_grant' }));
+        return;
+      }
+      tokensIssued++;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ access_token: `token-${tokensIssued}`, expires_in: tokenLifetime, token_type: 'Bearer' }));
+      return;
+    }
+
+    requests.push({ url: req.url, auth: req.headers.authorization, body: JSON.parse(body || '{}') });
+    if (!req.headers.authorization?.startsWith('Bearer token-') || revoked.has(req.headers.authorization)) {
+      res.writeHead(401);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      candidates: [{ content: { role: 'model', parts: [{ inlineData: { mimeType: 'image/png', data: responseImage } }] } }],
+      usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 20, totalTokenCount: 30 }
+    }));
+  });
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nanobanana-vertex-'));
+  const credentialsFile = path.join(dir, 'key.json');
+  await fs.writeFile(credentialsFile, JSON.stringify({
+    type: 'service_account',
+    project_id: 'test-project',
+    client_email: 'tester@test-project.iam.gserviceaccount.com',
+    private_key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    token_uri: `${base}/token`
+  }));
+
+  const { check, finish } = createChecks();
+
+  try {
+    const provider = new VertexProvider({ credentials_file: credentialsFile, location: 'europe-west4', endpoint: base });
+    check(provider.isAvailable(), 'Available with a service account key (project taken from the key)');
+
+    const result = await provider.generateImage({
+      prompt: 'a green square',
+      aspect_ratio: '16:9',
+      images: [{ base64: responseImage, mimeType: 'image/png' }]
+    });
+    check(result.success && result.images?.length === 1 && result.provider === 'Vertex AI', 'Generates an image');
+    check(result.usage?.tokens === 30, 'Reports token usage');
+
+    const first = requests[0];
+    check(first?.url === '/v1/projects/test-project/locations/europe-west4/publishers/google/models/gemini-2.5-flash-image-preview:generateContent',
+      'Calls the project/location-scoped endpoint');
+    const parts = first?.body.contents?.at(-1)?.parts || [];
+    check(parts.length === 3 && parts[1].inline_data && parts[2].inline_data, 'Sends the reference image and aspect-ratio canvas');
+
+    await provider.generateImage({ prompt: 'another green square' });
+    check(tokensIssued === 1 && requests[1]?.auth === 'Bearer token-1', 'Reuses the cached access token');
+
+    // Tokens this close to expiry are refreshed before use
+    tokenLifetime = 60;
+    const refreshing = new VertexProvider({ credentials_file: credentialsFile, endpoint: base, project: 'other-project' });
+    await refreshing.generateImage({ prompt: 'one' });
+    await refreshing.generateImage({ prompt: 'two' });
+    check(tokensIssued === 3 && requests.at(-1).auth === 'Bearer token-3', 'Refreshes tokens that are about to expire');
+    check(requests.at(-1).url.includes('/projects/other-project/locations/us-central1/'), 'Project and location settings override the defaults');
+
+    // A rejected token is dropped and the request repeated once with a new one
+    tokenLifetime = 3600;
+    revoked.add('Bearer token-1');
+    const sent = requests.length;
+    const retried = await provider.generateImage({ prompt: 'after revocation' });
+    check(retried.success && tokensIssued === 4 && requests.length === sent + 2 && requests.at(-1).auth === 'Bearer token-4', 'Refreshes the token and retries once after a 401');
+    revoked.add('Bearer token-4');
+    const models = await provider.listModels();
+    check(Array.isArray(models) && tokensIssued === 5 && requests.at(-1).auth === 'Bearer token-5', 'Model listing refreshes a rejected token too');
+    revoked.add('Bearer token-5');
+    revoked.add('Bearer token-6');
+    const rejected = await provider.generateImage({ prompt: 'still rejected' });
+    check(!rejected.success && rejected.status === 401 && tokensIssued === 6, 'A second 401 is reported, not retried again');
+  } finally {
+    close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  finish('Vertex AI');
+}
+
+runTest(main);